@@ -0,0 +1,92 @@
+/**
+ * Line4UP game engine
+ * Entry point for using the rules engine and AI without the 3D app: no Three.js, no DOM,
+ * so it runs in Node scripts and servers as well as the browser.
+ *
+ * Everything exported here is the engine's public API; modules under game/ may change
+ * their other exports between versions.
+ *
+ *   import { Game, GAME_MODE, GAME_EVENT, createRules, setDefaultLogger } from 'line4up/engine';
+ *
+ *   setDefaultLogger(null); // Don't log rejected moves
+ *   const game = new Game(createRules({ size: '7x6' }));
+ *   game.on(GAME_EVENT.GAME_OVER, ({ result, winnerName }) => console.log(result, winnerName));
+ *   game.startGame(GAME_MODE.CPU);
+ *   game.makeMove(3);
+ */
+
+// Game controller, states and events
+export { Game, GAME_STATE, GAME_MODE, GAME_EVENT, MOVE_ERROR, RESULT_REASON, TIME_CONTROLS } from './game/Game.js';
+
+// Rules and variants
+export {
+    createRules,
+    createBoard,
+    pickOpening,
+    is3D,
+    allowsPop,
+    usesPowerUps,
+    allowsRotation,
+    isPowerUp,
+    isRotation,
+    VARIANT,
+    MOVE_TYPE,
+    POWER_UPS,
+    ROTATIONS,
+    WIN_LENGTHS,
+    BALANCED_OPENINGS
+} from './game/Rules.js';
+
+// Boards
+export {
+    Board,
+    getPlayers,
+    EMPTY,
+    PLAYER_1,
+    PLAYER_2,
+    PLAYER_3,
+    PLAYER_4,
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    WIN_LENGTH,
+    BOARD_SIZES,
+    DEFAULT_BOARD_SIZE,
+    SPECIAL_TOKEN
+} from './game/Board.js';
+export { Board3D } from './game/Board3D.js';
+
+// Line checks and threat analysis
+export {
+    checkWin,
+    checkWinInColumn,
+    findWins,
+    getLineKind,
+    isDeadPosition,
+    findThreats,
+    analyzeThreats,
+    isWinningMove,
+    getWinningMoves,
+    WIN_KIND,
+    THREAT_PARITY
+} from './game/GameLogic.js';
+
+// CPU player
+export { AI, DIFFICULTY } from './game/AI.js';
+
+// Match series
+export { Match, MATCH_LENGTHS } from './game/Match.js';
+
+// Game records (JSON save files)
+export {
+    createRecord,
+    validateRecord,
+    replayRecord,
+    parseRecord,
+    RECORD_FORMAT,
+    RECORD_VERSION,
+    RECORD_RESULTS
+} from './game/GameRecord.js';
+
+// Logging and events
+export { setDefaultLogger, getDefaultLogger, SILENT_LOGGER } from './game/Logger.js';
+export { EventEmitter } from './utils/EventEmitter.js';
@@ -3,7 +3,10 @@
  * Implements minimax algorithm with alpha-beta pruning
  */
 
-import { ROWS, COLS, EMPTY, PLAYER_1, PLAYER_2 } from './Board.js';
+import { COLS, EMPTY, BLOCKED, PLAYER_1, PLAYER_2, MAX_PLAYERS, getPlayers } from './Board.js';
+import { Board3D } from './Board3D.js';
+import { getWindowIndices, getLineCounts } from './GameLogic.js';
+import { createRules, allowsPop, usesPowerUps, allowsRotation, isRotation, ROTATIONS, MOVE_TYPE } from './Rules.js';
 
 // AI Configuration
 export const AI_PLAYER = PLAYER_2;
@@ -19,7 +22,42 @@ export const DIFFICULTY = {
 const DEPTH_CONFIG = {
     [DIFFICULTY.EASY]: 2,
     [DIFFICULTY.MEDIUM]: 4,
-    [DIFFICULTY.HARD]: 6
+    [DIFFICULTY.HARD]: 10
+};
+
+// Depth settings on a 3D board, which has 16 pegs to choose from instead of 7 columns
+const DEPTH_CONFIG_3D = {
+    [DIFFICULTY.EASY]: 2,
+    [DIFFICULTY.MEDIUM]: 3,
+    [DIFFICULTY.HARD]: 5
+};
+
+// Depth limits for searches that would otherwise take too long on hard
+const MAX_DEPTH = {
+    WIDE: 7,        // Boards wider than the standard 7 columns
+    VARIANT: 8,     // PopOut and Power Up (pops and special tokens add moves), Cylinder (more lines)
+    MULTIPLAYER: 5  // Three or four players (no transposition table, and max-n doesn't prune)
+};
+
+// Thinking time on a chess clock
+const CLOCK_BUDGET = {
+    MOVES_LEFT: 20,         // Spread the time left as if this many moves were still to come
+    INCREMENT_SHARE: 0.8,   // Share of the increment spent on top
+    RESERVE: 1000,          // ms always kept back
+    CHECK_INTERVAL: 1023    // Look at the time once every this many positions (plus one)
+};
+
+// Time spent weighing a draw offer in ms (the answer is wanted straight away)
+const DRAW_OFFER_TIME = 500;
+
+// Thrown to abandon a search that ran out of thinking time
+const OUT_OF_TIME = new Error('Out of thinking time');
+
+// Kinds of score kept in the transposition table
+const BOUND = {
+    EXACT: 0,   // The position's score
+    LOWER: 1,   // The score is at least this (the search was cut off)
+    UPPER: 2    // The score is at most this (every move fell short)
 };
 
 // Scoring constants
@@ -29,17 +67,28 @@ const SCORE = {
     TWO_IN_ROW: 10,
     CENTER_BONUS: 3,
     BLOCK_THREE: 80,
-    BLOCK_TWO: 8
+    BLOCK_TWO: 8,
+    POWER_UP_COST: 15   // Keeps special tokens and board turns for when they actually help
 };
 
 /**
- * AI class for Connect 4
+ * AI class for Connect 4.
+ * Two-player games use minimax. With three or four players the AI either
+ * assumes every opponent is out to get it (paranoid search, which keeps
+ * alpha-beta pruning; used on hard) or that each player plays for
+ * themselves (max-n search, which scores every player at each leaf).
  */
 export class AI {
     constructor(difficulty = DIFFICULTY.MEDIUM) {
         this.difficulty = difficulty;
         this.aiPlayer = AI_PLAYER;
-        this.humanPlayer = HUMAN_PLAYER;
+        this.humanPlayer = HUMAN_PLAYER; // The opponent in a two-player game
+        this.players = getPlayers();
+        this.rules = createRules();
+        this.windowCounts = new Array(MAX_PLAYERS + 1).fill(0); // Scratch token counts for evaluateWindow
+        this.transpositions = new Map(); // Two-player search results by position, for the move being chosen
+        this.deadline = null; // When the search must stop (performance.now() time), or null for no limit
+        this.nodeCount = 0; // Positions searched, for spacing out time checks
     }
     
     /**
@@ -50,54 +99,204 @@ export class AI {
         this.difficulty = difficulty;
     }
     
+    /**
+     * Set the rules the AI is playing under (win length, variant)
+     * @param {Object} rules - Game rules (see createRules)
+     */
+    setRules(rules) {
+        this.rules = rules;
+    }
+    
     /**
      * Get the best move for the AI
      * @param {Board} board - Current board state
-     * @returns {number} Best column to play
+     * @param {Object} context - Extra game state
+     * @param {Object} context.powerUps - Remaining special tokens per player (Power Up)
+     * @param {Object} context.rotations - Remaining board turns per player (Gravity Flip)
+     * @param {boolean} context.canSwap - Whether the AI may take over the first player's position (swap rule)
+     * @param {number} context.player - Player the AI is moving for (defaults to AI_PLAYER)
+     * @param {number} context.timeLeft - Time left on the AI's clock in ms (omit for an untimed game)
+     * @param {number} context.increment - Time added to the AI's clock per move in ms
+     * @returns {Object|null} Best move {type, col, row?}, or null if there is none
      */
-    getBestMove(board) {
-        const validMoves = this.getValidMoves(board);
+    getBestMove(board, context = {}) {
+        // The AI can fill any seat
+        this.players = getPlayers(this.rules.players);
+        this.aiPlayer = context.player || AI_PLAYER;
+        this.humanPlayer = this.nextPlayer(this.aiPlayer);
+        
+        // Special tokens, board turns and the swap are only considered for the move being chosen, not deeper in the search
+        const moves = [
+            ...this.getMoves(board, this.aiPlayer),
+            ...this.getPowerUpMoves(board, this.aiPlayer, context.powerUps),
+            ...this.getRotationMoves(this.aiPlayer, context.rotations),
+            ...(context.canSwap ? [{ type: MOVE_TYPE.SWAP, col: -1 }] : [])
+        ];
         
-        if (validMoves.length === 0) return -1;
-        if (validMoves.length === 1) return validMoves[0];
+        if (moves.length === 0) return null;
+        if (moves.length === 1) return moves[0];
         
         // Easy mode: mix of random and smart moves
         if (this.difficulty === DIFFICULTY.EASY) {
             // 60% random, 40% smart
             if (Math.random() < 0.6) {
-                return validMoves[Math.floor(Math.random() * validMoves.length)];
+                return moves[Math.floor(Math.random() * moves.length)];
             }
         }
         
-        const depth = DEPTH_CONFIG[this.difficulty] || 4;
+        const depth = this.getSearchDepth(board);
+        this.transpositions.clear();
         
-        let bestScore = -Infinity;
-        let bestMove = validMoves[0];
+        if (context.timeLeft === undefined) {
+            return this.searchRoot(board, moves, depth);
+        }
+        
+        // On a clock, search one ply deeper at a time until the thinking time runs out,
+        // keeping the best move from the deepest finished search
+        const thinkingTime = this.getThinkingTime(context.timeLeft, context.increment || 0);
+        let bestMove = this.searchRoot(board, moves, 1);
+        
+        this.deadline = performance.now() + thinkingTime;
+        try {
+            for (let iteration = 2; iteration <= depth; iteration++) {
+                // Start from the previous best move (better pruning)
+                const ordered = [bestMove, ...moves.filter(move => move !== bestMove)];
+                bestMove = this.searchRoot(board, ordered, iteration);
+            }
+        } catch (error) {
+            if (error !== OUT_OF_TIME) throw error;
+        } finally {
+            this.deadline = null;
+        }
+        
+        return bestMove;
+    }
+    
+    /**
+     * Decide whether to accept a draw offer (two-player games): yes when the AI's own search
+     * scores the position as level or worse for it, i.e. drawn or lost. The search deepens
+     * one ply at a time for a short while, like a move on the clock
+     * @param {Board} board - Current board state
+     * @param {Object} context - Extra game state
+     * @param {number} context.player - Player the AI is answering for (defaults to AI_PLAYER)
+     * @param {number} context.toMove - Player to move (defaults to the AI's player)
+     * @returns {boolean} True to accept the draw
+     */
+    acceptsDraw(board, context = {}) {
+        this.players = getPlayers(this.rules.players);
+        this.aiPlayer = context.player || AI_PLAYER;
+        this.humanPlayer = this.nextPlayer(this.aiPlayer);
+        this.transpositions.clear();
         
-        // Order moves to check center columns first (better pruning)
-        const orderedMoves = this.orderMoves(validMoves);
+        const aiToMove = (context.toMove || this.aiPlayer) === this.aiPlayer;
+        const depth = this.getSearchDepth(board);
         
-        for (const col of orderedMoves) {
-            const boardCopy = board.clone();
-            boardCopy.dropToken(col, this.aiPlayer);
+        // An abandoned search leaves tokens behind, so never search the live board
+        const boardCopy = board.clone();
+        let score = this.minimax(boardCopy, 1, -Infinity, Infinity, aiToMove, null);
+        
+        this.deadline = performance.now() + DRAW_OFFER_TIME;
+        try {
+            for (let iteration = 2; iteration <= depth; iteration++) {
+                score = this.minimax(boardCopy, iteration, -Infinity, Infinity, aiToMove, null);
+            }
+        } catch (error) {
+            if (error !== OUT_OF_TIME) throw error;
+        } finally {
+            this.deadline = null;
+        }
+        
+        return score <= 0;
+    }
+    
+    /**
+     * Work out how long to think about a move on a chess clock
+     * @param {number} timeLeft - Time left on the AI's clock in ms
+     * @param {number} increment - Time added per move in ms
+     * @returns {number} Thinking time in ms
+     */
+    getThinkingTime(timeLeft, increment) {
+        const spare = Math.max(0, timeLeft - CLOCK_BUDGET.RESERVE);
+        return spare / CLOCK_BUDGET.MOVES_LEFT + increment * CLOCK_BUDGET.INCREMENT_SHARE;
+    }
+    
+    /**
+     * Give up the search if the thinking time has run out (the time is only read now and then)
+     */
+    checkDeadline() {
+        if (this.deadline !== null && (++this.nodeCount & CLOCK_BUDGET.CHECK_INTERVAL) === 0 &&
+            performance.now() > this.deadline) {
+            throw OUT_OF_TIME;
+        }
+    }
+    
+    /**
+     * Search every move for the AI to a fixed depth
+     * @param {Board} board - Current board state
+     * @param {Object[]} moves - Moves to choose from, best candidates first
+     * @param {number} depth - Search depth
+     * @returns {Object} Best move
+     */
+    searchRoot(board, moves, depth) {
+        let bestScore = -Infinity;
+        let bestMove = moves[0];
+        
+        // Moves are ordered to check center columns first (better pruning)
+        for (const move of moves) {
+            const boardCopy = this.applyMove(board, move, this.aiPlayer);
             
-            const score = this.minimax(
-                boardCopy,
-                depth - 1,
-                -Infinity,
-                Infinity,
-                false
-            );
+            // An x2 token means the AI moves again
+            const next = move.type === MOVE_TYPE.DOUBLE ? this.aiPlayer : this.nextPlayer(this.aiPlayer);
+            
+            let score;
+            if (isRotation(move.type) && this.players.filter(player => boardCopy.hasLine(player)).length > 1) {
+                // A turn that gives several players a line is a draw
+                score = 0;
+            } else if (this.players.length === 2) {
+                score = this.minimax(boardCopy, depth - 1, bestScore, Infinity, next === this.aiPlayer, this.aiPlayer);
+            } else if (this.difficulty === DIFFICULTY.HARD) {
+                score = this.paranoid(boardCopy, depth - 1, bestScore, Infinity, next, this.aiPlayer);
+            } else {
+                score = this.maxN(boardCopy, depth - 1, next, this.aiPlayer)[this.aiPlayer - PLAYER_1];
+            }
+            
+            if (move.type !== MOVE_TYPE.DROP && move.type !== MOVE_TYPE.POP && move.type !== MOVE_TYPE.SWAP) {
+                score -= SCORE.POWER_UP_COST;
+            }
             
             if (score > bestScore) {
                 bestScore = score;
-                bestMove = col;
+                bestMove = move;
             }
         }
         
         return bestMove;
     }
     
+    /**
+     * Get how many plies ahead to search for the current difficulty
+     * @param {Board} board - Current board state
+     * @returns {number} Search depth
+     */
+    getSearchDepth(board) {
+        const is3D = board instanceof Board3D;
+        let depth = (is3D ? DEPTH_CONFIG_3D : DEPTH_CONFIG)[this.difficulty] || 4;
+        
+        if (!is3D && board.cols > COLS) {
+            depth = Math.min(depth, MAX_DEPTH.WIDE);
+        }
+        if (allowsPop(this.rules) || usesPowerUps(this.rules) || board.wrap) {
+            depth = Math.min(depth, MAX_DEPTH.VARIANT);
+        }
+        
+        // Multi-player searches prune less (max-n not at all), so they look one ply less deep
+        if (this.players.length > 2) {
+            depth = Math.min(depth - 1, MAX_DEPTH.MULTIPLAYER);
+        }
+        
+        return depth;
+    }
+    
     /**
      * Minimax algorithm with alpha-beta pruning
      * @param {Board} board - Current board state
@@ -105,167 +304,412 @@ export class AI {
      * @param {number} alpha - Alpha value for pruning
      * @param {number} beta - Beta value for pruning
      * @param {boolean} isMaximizing - Whether maximizing player
+     * @param {number} lastMover - Player who made the previous move
      * @returns {number} Best score
      */
-    minimax(board, depth, alpha, beta, isMaximizing) {
+    minimax(board, depth, alpha, beta, isMaximizing, lastMover) {
+        this.checkDeadline();
+        
         // Check terminal states
-        const winner = this.checkWinner(board);
+        const winner = this.checkWinner(board, lastMover);
         if (winner === this.aiPlayer) return SCORE.WIN + depth;
         if (winner === this.humanPlayer) return -SCORE.WIN - depth;
-        if (this.isBoardFull(board)) return 0;
+        
+        const player = isMaximizing ? this.aiPlayer : this.humanPlayer;
+        const moves = this.getMoves(board, player);
+        
+        if (moves.length === 0) return 0;
         if (depth === 0) return this.evaluateBoard(board);
         
-        const validMoves = this.getValidMoves(board);
-        const orderedMoves = this.orderMoves(validMoves);
+        // Reuse the result if this position was already searched (reached by another move order)
+        const key = board.getBitKey() + (isMaximizing ? '+' : '-');
+        const entry = this.transpositions.get(key);
+        if (entry && entry.depth >= depth) {
+            if (entry.bound === BOUND.EXACT) return entry.score;
+            if (entry.bound === BOUND.LOWER) alpha = Math.max(alpha, entry.score);
+            if (entry.bound === BOUND.UPPER) beta = Math.min(beta, entry.score);
+            if (beta <= alpha) return entry.score;
+        }
+        const searchAlpha = alpha;
+        const searchBeta = beta;
+        
+        let bestScore;
         
         if (isMaximizing) {
-            let maxScore = -Infinity;
+            bestScore = -Infinity;
             
-            for (const col of orderedMoves) {
-                const boardCopy = board.clone();
-                boardCopy.dropToken(col, this.aiPlayer);
-                
-                const score = this.minimax(boardCopy, depth - 1, alpha, beta, false);
-                maxScore = Math.max(maxScore, score);
+            for (const move of moves) {
+                const score = this.searchMove(board, move, this.aiPlayer, (child) =>
+                    this.minimax(child, depth - 1, alpha, beta, false, this.aiPlayer)
+                );
+                bestScore = Math.max(bestScore, score);
                 alpha = Math.max(alpha, score);
                 
                 if (beta <= alpha) break; // Beta cutoff
             }
-            
-            return maxScore;
         } else {
-            let minScore = Infinity;
+            bestScore = Infinity;
             
-            for (const col of orderedMoves) {
-                const boardCopy = board.clone();
-                boardCopy.dropToken(col, this.humanPlayer);
-                
-                const score = this.minimax(boardCopy, depth - 1, alpha, beta, true);
-                minScore = Math.min(minScore, score);
+            for (const move of moves) {
+                const score = this.searchMove(board, move, this.humanPlayer, (child) =>
+                    this.minimax(child, depth - 1, alpha, beta, true, this.humanPlayer)
+                );
+                bestScore = Math.min(bestScore, score);
                 beta = Math.min(beta, score);
                 
                 if (beta <= alpha) break; // Alpha cutoff
             }
+        }
+        
+        // A score outside the search window is only a bound on the true score
+        let bound = BOUND.EXACT;
+        if (bestScore <= searchAlpha) bound = BOUND.UPPER;
+        else if (bestScore >= searchBeta) bound = BOUND.LOWER;
+        this.transpositions.set(key, { depth, score: bestScore, bound });
+        
+        return bestScore;
+    }
+    
+    /**
+     * Paranoid search for three or more players: the AI maximizes and
+     * every opponent minimizes the AI's score, so alpha-beta still applies
+     * @param {Board} board - Current board state
+     * @param {number} depth - Remaining search depth
+     * @param {number} alpha - Alpha value for pruning
+     * @param {number} beta - Beta value for pruning
+     * @param {number} player - Player to move
+     * @param {number} lastMover - Player who made the previous move
+     * @returns {number} Best score for the AI
+     */
+    paranoid(board, depth, alpha, beta, player, lastMover) {
+        this.checkDeadline();
+        
+        // Check terminal states
+        const winner = this.checkWinner(board, lastMover);
+        if (winner === this.aiPlayer) return SCORE.WIN + depth;
+        if (winner !== null) return -SCORE.WIN - depth;
+        
+        const moves = this.getMoves(board, player);
+        
+        if (moves.length === 0) return 0;
+        if (depth === 0) return this.evaluateBoard(board);
+        
+        const next = this.nextPlayer(player);
+        
+        if (player === this.aiPlayer) {
+            let maxScore = -Infinity;
+            
+            for (const move of moves) {
+                const score = this.searchMove(board, move, player, (child) =>
+                    this.paranoid(child, depth - 1, alpha, beta, next, player)
+                );
+                maxScore = Math.max(maxScore, score);
+                alpha = Math.max(alpha, score);
+                
+                if (beta <= alpha) break; // Beta cutoff
+            }
+            
+            return maxScore;
+        }
+        
+        let minScore = Infinity;
+        
+        for (const move of moves) {
+            const score = this.searchMove(board, move, player, (child) =>
+                this.paranoid(child, depth - 1, alpha, beta, next, player)
+            );
+            minScore = Math.min(minScore, score);
+            beta = Math.min(beta, score);
+            
+            if (beta <= alpha) break; // Alpha cutoff
+        }
+        
+        return minScore;
+    }
+    
+    /**
+     * Max-n search for three or more players: each player picks the move
+     * that is best for themselves
+     * @param {Board} board - Current board state
+     * @param {number} depth - Remaining search depth
+     * @param {number} player - Player to move
+     * @param {number} lastMover - Player who made the previous move
+     * @returns {number[]} Score for each player, indexed from PLAYER_1
+     */
+    maxN(board, depth, player, lastMover) {
+        this.checkDeadline();
+        
+        // Check terminal states
+        const winner = this.checkWinner(board, lastMover);
+        if (winner !== null) {
+            return this.players.map(p => (p === winner ? SCORE.WIN + depth : -SCORE.WIN - depth));
+        }
+        
+        const moves = this.getMoves(board, player);
+        
+        if (moves.length === 0) return this.players.map(() => 0);
+        if (depth === 0) return this.players.map(p => this.evaluateBoard(board, p));
+        
+        const next = this.nextPlayer(player);
+        const index = player - PLAYER_1;
+        let best = null;
+        
+        for (const move of moves) {
+            const scores = this.searchMove(board, move, player, (child) => this.maxN(child, depth - 1, next, player));
+            if (!best || scores[index] > best[index]) {
+                best = scores;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Get the player who moves after a player
+     * @param {number} player - Player number
+     * @returns {number} Next player in turn order
+     */
+    nextPlayer(player) {
+        const index = this.players.indexOf(player);
+        return this.players[(index + 1) % this.players.length];
+    }
+    
+    /**
+     * Get a player's opponents
+     * @param {number} player - Player number
+     * @returns {number[]} Every other player in the game
+     */
+    getOpponents(player) {
+        return this.players.filter(p => p !== player);
+    }
+    
+    /**
+     * Get all moves for a player, ordered for better pruning (drops first, center first)
+     * @param {Board} board - Current board
+     * @param {number} player - Player to move
+     * @returns {Object[]} Array of moves {type, col}
+     */
+    getMoves(board, player) {
+        const columns = board instanceof Board3D
+            ? this.orderPegs(board, this.getValidMoves(board))
+            : this.orderMoves(this.getValidMoves(board), board.cols);
+        const moves = columns.map(col => ({ type: MOVE_TYPE.DROP, col }));
+        
+        if (allowsPop(this.rules)) {
+            const allColumns = this.orderMoves([...Array(board.cols).keys()], board.cols);
+            for (const col of allColumns) {
+                if (board.canPop(col, player)) {
+                    moves.push({ type: MOVE_TYPE.POP, col });
+                }
+            }
+        }
+        
+        return moves;
+    }
+    
+    /**
+     * Get the special-token moves a player can make (Power Up)
+     * @param {Board} board - Current board
+     * @param {number} player - Player to move
+     * @param {Object} powerUps - Remaining special tokens per player
+     * @returns {Object[]} Array of moves {type, col, row?}
+     */
+    getPowerUpMoves(board, player, powerUps) {
+        const moves = [];
+        const inventory = powerUps && powerUps[player];
+        
+        if (!usesPowerUps(this.rules) || !inventory) {
+            return moves;
+        }
+        
+        const columns = this.orderMoves([...Array(board.cols).keys()], board.cols);
+        
+        for (const col of columns) {
+            if (inventory[MOVE_TYPE.ANVIL] > 0 && board.getCell(0, col) !== EMPTY) {
+                moves.push({ type: MOVE_TYPE.ANVIL, col });
+            }
             
-            return minScore;
+            if (!board.isColumnFull(col)) {
+                if (inventory[MOVE_TYPE.WALL] > 0) {
+                    moves.push({ type: MOVE_TYPE.WALL, col });
+                }
+                if (inventory[MOVE_TYPE.DOUBLE] > 0) {
+                    moves.push({ type: MOVE_TYPE.DOUBLE, col });
+                }
+            }
+            
+            if (inventory[MOVE_TYPE.BOMB] > 0) {
+                for (let row = 0; row < board.rows; row++) {
+                    const cell = board.getCell(row, col);
+                    if (cell !== EMPTY && cell !== player) {
+                        moves.push({ type: MOVE_TYPE.BOMB, col, row });
+                    }
+                }
+            }
+        }
+        
+        return moves;
+    }
+    
+    /**
+     * Get the board turns a player can make (Gravity Flip)
+     * @param {number} player - Player to move
+     * @param {Object} rotations - Remaining board turns per player
+     * @returns {Object[]} Array of moves {type, col}
+     */
+    getRotationMoves(player, rotations) {
+        if (!allowsRotation(this.rules) || !rotations || !(rotations[player] > 0)) {
+            return [];
         }
+        return ROTATIONS.map(type => ({ type, col: -1 }));
+    }
+    
+    /**
+     * Apply a move to a copy of the board
+     * @param {Board} board - Current board
+     * @param {Object} move - Move {type, col, row?}
+     * @param {number} player - Player making the move
+     * @returns {Board} New board with the move applied
+     */
+    applyMove(board, move, player) {
+        const boardCopy = board.clone();
+        
+        switch (move.type) {
+            case MOVE_TYPE.POP:
+                boardCopy.popToken(move.col);
+                break;
+            case MOVE_TYPE.ANVIL:
+                boardCopy.dropAnvil(move.col, player);
+                break;
+            case MOVE_TYPE.BOMB:
+                boardCopy.removeToken(move.row, move.col);
+                break;
+            case MOVE_TYPE.WALL:
+            case MOVE_TYPE.DOUBLE:
+                boardCopy.dropToken(move.col, player, move.type);
+                break;
+            case MOVE_TYPE.ROTATE_LEFT:
+            case MOVE_TYPE.ROTATE_RIGHT:
+                boardCopy.rotate(move.type === MOVE_TYPE.ROTATE_RIGHT);
+                break;
+            case MOVE_TYPE.SWAP:
+                boardCopy.swapPlayers(player, this.nextPlayer(player));
+                break;
+            default:
+                boardCopy.dropToken(move.col, player);
+        }
+        
+        return boardCopy;
+    }
+    
+    /**
+     * Search the position after a move. Drops are made on the board itself and
+     * taken back afterwards, so most of the search runs without copying boards.
+     * @param {Board} board - Current board
+     * @param {Object} move - Move {type, col, row?}
+     * @param {number} player - Player making the move
+     * @param {Function} search - Called with the board after the move; its result is returned
+     * @returns {*} Result of search
+     */
+    searchMove(board, move, player, search) {
+        if (move.type !== MOVE_TYPE.DROP) {
+            return search(this.applyMove(board, move, player));
+        }
+        
+        const row = board.dropToken(move.col, player);
+        const result = search(board);
+        board.clearCell(row, move.col);
+        return result;
     }
     
     /**
      * Evaluate the board position
      * @param {Board} board - Board to evaluate
+     * @param {number} player - Player to score the position for
      * @returns {number} Score for the position
      */
-    evaluateBoard(board) {
+    evaluateBoard(board, player = this.aiPlayer) {
         let score = 0;
         
-        // Center column preference
-        const centerCol = Math.floor(COLS / 2);
-        for (let row = 0; row < ROWS; row++) {
-            if (board.getCell(row, centerCol) === this.aiPlayer) {
+        // Center column preference (a cylinder or a 3D board has no center column;
+        // their strong cells are already weighted by the windows through them)
+        const hasCenter = !board.wrap && !(board instanceof Board3D);
+        const centerCol = Math.floor(board.cols / 2);
+        for (let row = 0; row < board.rows && hasCenter; row++) {
+            const cell = board.getLineCell(row, centerCol);
+            if (cell === player) {
                 score += SCORE.CENTER_BONUS;
-            } else if (board.getCell(row, centerCol) === this.humanPlayer) {
+            } else if (cell !== EMPTY && cell !== BLOCKED) {
                 score -= SCORE.CENTER_BONUS;
             }
         }
         
-        // Evaluate all windows of 4
-        score += this.evaluateAllWindows(board);
+        // Evaluate all windows of winLength cells
+        score += this.evaluateAllWindows(board, player);
         
         return score;
     }
     
     /**
-     * Evaluate all possible windows of 4 on the board
+     * Evaluate all possible windows of winLength cells on the board
      * @param {Board} board - Board to evaluate
+     * @param {number} player - Player to score the windows for
      * @returns {number} Total score from all windows
      */
-    evaluateAllWindows(board) {
+    evaluateAllWindows(board, player = this.aiPlayer) {
         let score = 0;
+        const window = new Array(board.winLength);
         
-        // Horizontal windows
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const window = [
-                    board.getCell(row, col),
-                    board.getCell(row, col + 1),
-                    board.getCell(row, col + 2),
-                    board.getCell(row, col + 3)
-                ];
-                score += this.evaluateWindow(window);
-            }
-        }
-        
-        // Vertical windows
-        for (let col = 0; col < COLS; col++) {
-            for (let row = 0; row < ROWS - 3; row++) {
-                const window = [
-                    board.getCell(row, col),
-                    board.getCell(row + 1, col),
-                    board.getCell(row + 2, col),
-                    board.getCell(row + 3, col)
-                ];
-                score += this.evaluateWindow(window);
-            }
-        }
-        
-        // Diagonal (positive slope) windows
-        for (let row = 0; row < ROWS - 3; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const window = [
-                    board.getCell(row, col),
-                    board.getCell(row + 1, col + 1),
-                    board.getCell(row + 2, col + 2),
-                    board.getCell(row + 3, col + 3)
-                ];
-                score += this.evaluateWindow(window);
-            }
-        }
-        
-        // Diagonal (negative slope) windows
-        for (let row = 3; row < ROWS; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const window = [
-                    board.getCell(row, col),
-                    board.getCell(row - 1, col + 1),
-                    board.getCell(row - 2, col + 2),
-                    board.getCell(row - 3, col + 3)
-                ];
-                score += this.evaluateWindow(window);
+        for (const indices of getWindowIndices(board)) {
+            for (let i = 0; i < indices.length; i++) {
+                window[i] = board.getLineCellAt(indices[i]);
             }
+            score += this.evaluateWindow(window, player);
         }
         
         return score;
     }
     
     /**
-     * Evaluate a window of 4 cells
-     * @param {number[]} window - Array of 4 cell values
+     * Evaluate a window of winLength cells
+     * @param {number[]} window - Array of cell values
+     * @param {number} player - Player to score the window for
      * @returns {number} Score for this window
      */
-    evaluateWindow(window) {
+    evaluateWindow(window, player = this.aiPlayer) {
         let score = 0;
+        const length = window.length;
         
-        const aiCount = window.filter(cell => cell === this.aiPlayer).length;
-        const humanCount = window.filter(cell => cell === this.humanPlayer).length;
-        const emptyCount = window.filter(cell => cell === EMPTY).length;
+        // Count every player's tokens in one pass (walls count for no one)
+        const counts = this.windowCounts.fill(0);
+        for (const cell of window) {
+            if (cell !== BLOCKED) counts[cell]++;
+        }
+        
+        const ownCount = counts[player];
+        const emptyCount = counts[EMPTY];
         
-        // AI scoring
-        if (aiCount === 4) {
+        // Own scoring (one or two tokens short of a full line)
+        if (ownCount === length) {
             score += SCORE.WIN;
-        } else if (aiCount === 3 && emptyCount === 1) {
+        } else if (ownCount === length - 1 && emptyCount === 1) {
             score += SCORE.THREE_IN_ROW;
-        } else if (aiCount === 2 && emptyCount === 2) {
+        } else if (ownCount === length - 2 && emptyCount === 2) {
             score += SCORE.TWO_IN_ROW;
         }
         
-        // Human blocking (penalize positions that help human)
-        if (humanCount === 4) {
-            score -= SCORE.WIN;
-        } else if (humanCount === 3 && emptyCount === 1) {
-            score -= SCORE.BLOCK_THREE;
-        } else if (humanCount === 2 && emptyCount === 2) {
-            score -= SCORE.BLOCK_TWO;
+        // Opponent blocking (penalize positions that help an opponent)
+        for (const opponent of this.players) {
+            if (opponent === player) continue;
+            const opponentCount = counts[opponent];
+            
+            if (opponentCount === length) {
+                score -= SCORE.WIN;
+            } else if (opponentCount === length - 1 && emptyCount === 1) {
+                score -= SCORE.BLOCK_THREE;
+            } else if (opponentCount === length - 2 && emptyCount === 2) {
+                score -= SCORE.BLOCK_TWO;
+            }
         }
         
         return score;
@@ -274,15 +718,29 @@ export class AI {
     /**
      * Order moves for better alpha-beta pruning (center first)
      * @param {number[]} moves - Array of valid column indices
+     * @param {number} cols - Number of columns on the board
      * @returns {number[]} Ordered moves
      */
-    orderMoves(moves) {
-        const center = Math.floor(COLS / 2);
+    orderMoves(moves, cols) {
+        const center = Math.floor(cols / 2);
         return [...moves].sort((a, b) => {
             return Math.abs(center - a) - Math.abs(center - b);
         });
     }
     
+    /**
+     * Order pegs on a 3D board for better alpha-beta pruning
+     * (pegs whose next bead lands on the most winning lines first)
+     * @param {Board3D} board - Current board
+     * @param {number[]} pegs - Array of valid peg indices
+     * @returns {number[]} Ordered pegs
+     */
+    orderPegs(board, pegs) {
+        const counts = getLineCounts(board);
+        const lines = (peg) => counts[board.findLowestRow(peg)][peg];
+        return [...pegs].sort((a, b) => lines(b) - lines(a));
+    }
+    
     /**
      * Get all valid moves (non-full columns)
      * @param {Board} board - Current board
@@ -290,7 +748,7 @@ export class AI {
      */
     getValidMoves(board) {
         const moves = [];
-        for (let col = 0; col < COLS; col++) {
+        for (let col = 0; col < board.cols; col++) {
             if (!board.isColumnFull(col)) {
                 moves.push(col);
             }
@@ -299,60 +757,20 @@ export class AI {
     }
     
     /**
-     * Check if there's a winner
+     * Check if there's a winner.
+     * A pop or a bomb can complete lines for both players; the player who moved wins then.
      * @param {Board} board - Board to check
+     * @param {number} lastMover - Player who made the previous move
      * @returns {number|null} Winner player number or null
      */
-    checkWinner(board) {
-        // Check horizontal
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const cell = board.getCell(row, col);
-                if (cell !== EMPTY &&
-                    cell === board.getCell(row, col + 1) &&
-                    cell === board.getCell(row, col + 2) &&
-                    cell === board.getCell(row, col + 3)) {
-                    return cell;
-                }
-            }
+    checkWinner(board, lastMover = null) {
+        if (lastMover !== null && board.hasLine(lastMover)) {
+            return lastMover;
         }
         
-        // Check vertical
-        for (let col = 0; col < COLS; col++) {
-            for (let row = 0; row < ROWS - 3; row++) {
-                const cell = board.getCell(row, col);
-                if (cell !== EMPTY &&
-                    cell === board.getCell(row + 1, col) &&
-                    cell === board.getCell(row + 2, col) &&
-                    cell === board.getCell(row + 3, col)) {
-                    return cell;
-                }
-            }
-        }
-        
-        // Check diagonal (positive slope)
-        for (let row = 0; row < ROWS - 3; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const cell = board.getCell(row, col);
-                if (cell !== EMPTY &&
-                    cell === board.getCell(row + 1, col + 1) &&
-                    cell === board.getCell(row + 2, col + 2) &&
-                    cell === board.getCell(row + 3, col + 3)) {
-                    return cell;
-                }
-            }
-        }
-        
-        // Check diagonal (negative slope)
-        for (let row = 3; row < ROWS; row++) {
-            for (let col = 0; col < COLS - 3; col++) {
-                const cell = board.getCell(row, col);
-                if (cell !== EMPTY &&
-                    cell === board.getCell(row - 1, col + 1) &&
-                    cell === board.getCell(row - 2, col + 2) &&
-                    cell === board.getCell(row - 3, col + 3)) {
-                    return cell;
-                }
+        for (const player of this.players) {
+            if (player !== lastMover && board.hasLine(player)) {
+                return player;
             }
         }
         
@@ -365,7 +783,7 @@ export class AI {
      * @returns {boolean} True if full
      */
     isBoardFull(board) {
-        for (let col = 0; col < COLS; col++) {
+        for (let col = 0; col < board.cols; col++) {
             if (!board.isColumnFull(col)) {
                 return false;
             }
@@ -1,28 +1,207 @@
 /**
  * Board state management for Connect 4
- * Handles the logical representation of the game board
+ * Handles the logical representation of the game board.
+ *
+ * Cells are kept twice: in a flat array for reading single cells, and as one
+ * bitboard per player (a BigInt with a bit per cell) for checking lines across
+ * the whole board at once. Each column gets rows + 1 bits, the top one always
+ * empty, so a line can't run off the top of one column into the next.
  */
 
+// Standard board dimensions (used when no config is given)
 export const ROWS = 6;
 export const COLS = 7;
+export const WIN_LENGTH = 4;
 export const EMPTY = 0;
 export const PLAYER_1 = 1;
 export const PLAYER_2 = 2;
+export const PLAYER_3 = 3;
+export const PLAYER_4 = 4;
+
+// Player counts for local games
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// Symbols used when printing a board
+export const PLAYER_SYMBOLS = {
+    [EMPTY]: '.',
+    [PLAYER_1]: 'R',
+    [PLAYER_2]: 'Y',
+    [PLAYER_3]: 'G',
+    [PLAYER_4]: 'P'
+};
+
+// Cell value used for line checks when a token can't be part of a line
+export const BLOCKED = -1;
+
+// Special tokens (Power Up variant)
+export const SPECIAL_TOKEN = {
+    ANVIL: 'anvil',   // Clears its column below it
+    BOMB: 'bomb',     // Removes an opponent token
+    WALL: 'wall',     // Can't be used for a win
+    DOUBLE: 'x2'      // Gives an extra turn
+};
+
+// Selectable board sizes, keyed by "columns x rows"
+export const BOARD_SIZES = {
+    '7x6': { cols: 7, rows: 6 },
+    '8x7': { cols: 8, rows: 7 },
+    '9x7': { cols: 9, rows: 7 },
+    '5x4': { cols: 5, rows: 4 },
+    '9x6': { cols: 9, rows: 6 },    // Five-in-a-Row
+    '7x7': { cols: 7, rows: 7 }     // Gravity Flip
+};
+
+export const DEFAULT_BOARD_SIZE = '7x6';
+
+// Line directions on a flat board: [deltaRow, deltaCol]
+export const DIRECTIONS = [
+    [0, 1],   // Horizontal (right)
+    [1, 0],   // Vertical (up)
+    [1, 1],   // Diagonal up-right
+    [1, -1]   // Diagonal up-left
+];
+
+// Single-bit masks by bit index, shared by every board
+const BITS = [];
+
+/**
+ * Get the mask with just one bit set
+ * @param {number} index - Bit index
+ * @returns {bigint} Mask
+ */
+function bit(index) {
+    while (BITS.length <= index) {
+        BITS.push(1n << BigInt(BITS.length));
+    }
+    return BITS[index];
+}
+
+/**
+ * Get the players in a game, in turn order
+ * @param {number} count - Number of players
+ * @returns {number[]} Player numbers, starting with PLAYER_1
+ */
+export function getPlayers(count = MIN_PLAYERS) {
+    return Array.from({ length: count }, (_, i) => PLAYER_1 + i);
+}
+
+/**
+ * Create a board config from a size key
+ * @param {string} size - Key into BOARD_SIZES (e.g. '7x6')
+ * @returns {Object} Board config {rows, cols}
+ */
+export function createBoardConfig(size = DEFAULT_BOARD_SIZE) {
+    const { rows, cols } = BOARD_SIZES[size] || BOARD_SIZES[DEFAULT_BOARD_SIZE];
+    return { rows, cols };
+}
 
 export class Board {
-    constructor() {
-        this.grid = [];
+    /**
+     * @param {Object} config - Board config {rows, cols, winLength, layout, wrap}
+     */
+    constructor(config = {}) {
+        this.rows = config.rows || ROWS;
+        this.cols = config.cols || COLS;
+        this.winLength = config.winLength || WIN_LENGTH;
+        this.layout = config.layout || []; // Tokens on the board before the first move
+        this.wrap = config.wrap || false;  // Lines wrap from the last column to the first (Cylinder)
+        
+        // Bit layout: columns are laid out in rows of `width` (a flat board is a single row),
+        // each followed by an empty column so lines can't run from one row of columns into the next
+        this.width = config.width || this.cols;
+        this.depth = config.depth || 1;
+        this.stride = this.rows + 1;                    // Bits per column
+        this.zStride = (this.width + 1) * this.stride;   // Bits per row of columns (along z on a 3D board)
+        this.lineShifts = null;                         // Built on first use (see getLineShifts)
+        
+        this.cells = null;    // Cell values by bit index
+        this.masks = null;    // Bitboard of each player's tokens, indexed by player
+        this.walls = 0n;      // Bitboard of wall tokens
+        this.heights = null;  // Lowest empty row of each column
+        this.specials = null; // Special token kinds by bit index
         this.reset();
     }
     
     /**
-     * Reset the board to initial empty state
+     * Get the config this board was created with
+     * @returns {Object} Board config {rows, cols, winLength, layout, wrap}
+     */
+    getConfig() {
+        return { rows: this.rows, cols: this.cols, winLength: this.winLength, layout: this.layout, wrap: this.wrap };
+    }
+    
+    /**
+     * Reset the board to its initial state (empty apart from the layout tokens)
      */
     reset() {
-        this.grid = [];
-        for (let row = 0; row < ROWS; row++) {
-            this.grid.push(new Array(COLS).fill(EMPTY));
+        this.cells = new Int8Array(this.depth * this.zStride);
+        this.masks = new Array(MAX_PLAYERS + 1).fill(0n);
+        this.walls = 0n;
+        this.heights = new Int8Array(this.cols);
+        this.specials = new Map();
+        
+        for (const { row, col, player } of this.layout) {
+            this.setCell(row, col, player);
+        }
+    }
+    
+    /**
+     * Get the bit index of a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} Bit index
+     */
+    bitIndex(row, col) {
+        const x = col % this.width;
+        const z = (col - x) / this.width;
+        return z * this.zStride + x * this.stride + row;
+    }
+    
+    /**
+     * Write a cell's value to the cell array and the bitboards
+     * @param {number} index - Bit index of the cell
+     * @param {number} value - Player value
+     * @param {string|null} special - Special token kind, if any
+     */
+    writeCell(index, value, special) {
+        const mask = bit(index);
+        const previous = this.cells[index];
+        
+        if (previous !== EMPTY) {
+            this.masks[previous] ^= mask;
         }
+        if (value !== EMPTY) {
+            this.masks[value] |= mask;
+        }
+        this.cells[index] = value;
+        
+        if (special) {
+            this.specials.set(index, special);
+        } else {
+            this.specials.delete(index);
+        }
+        
+        if (special === SPECIAL_TOKEN.WALL) {
+            this.walls |= mask;
+        } else if (this.walls & mask) {
+            this.walls ^= mask;
+        }
+    }
+    
+    /**
+     * Work out the lowest empty row of a column from its cells
+     * @param {number} col - Column index
+     * @param {number} fromRow - Row to start looking from (rows below it are known to be filled)
+     * @returns {number} Row index, or rows if the column is full
+     */
+    scanLowestRow(col, fromRow = 0) {
+        const base = this.bitIndex(0, col);
+        let row = fromRow;
+        while (row < this.rows && this.cells[base + row] !== EMPTY) {
+            row++;
+        }
+        return row;
     }
     
     /**
@@ -32,10 +211,48 @@ export class Board {
      * @returns {number} Cell value (0=empty, 1=player1, 2=player2)
      */
     getCell(row, col) {
-        if (row < 0 || row >= ROWS || col < 0 || col >= COLS) {
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
             return null;
         }
-        return this.grid[row][col];
+        return this.cells[this.bitIndex(row, col)];
+    }
+    
+    /**
+     * Get the special token kind at a specific cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string|null} Special token kind (see SPECIAL_TOKEN) or null for a plain token
+     */
+    getSpecial(row, col) {
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+            return null;
+        }
+        return this.specials.get(this.bitIndex(row, col)) || null;
+    }
+    
+    /**
+     * Get the value of a cell for line checks (walls can't be part of a line)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} Cell value, or BLOCKED for a wall token
+     */
+    getLineCell(row, col) {
+        if (this.getSpecial(row, col) === SPECIAL_TOKEN.WALL) {
+            return BLOCKED;
+        }
+        return this.getCell(row, col);
+    }
+    
+    /**
+     * Get the value of a cell for line checks by its bit index (see getLineCell)
+     * @param {number} index - Bit index of the cell (see bitIndex)
+     * @returns {number} Cell value, or BLOCKED for a wall token
+     */
+    getLineCellAt(index) {
+        if (this.walls && (this.walls & bit(index))) {
+            return BLOCKED;
+        }
+        return this.cells[index];
     }
     
     /**
@@ -43,10 +260,24 @@ export class Board {
      * @param {number} row - Row index
      * @param {number} col - Column index
      * @param {number} value - Player value
+     * @param {string|null} special - Special token kind, if any
      */
-    setCell(row, col, value) {
-        if (row >= 0 && row < ROWS && col >= 0 && col < COLS) {
-            this.grid[row][col] = value;
+    setCell(row, col, value, special = null) {
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            this.writeCell(this.bitIndex(row, col), value, special);
+            this.heights[col] = this.scanLowestRow(col);
+        }
+    }
+    
+    /**
+     * Empty a single cell, without moving the tokens above it (used to take back a drop)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    clearCell(row, col) {
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            this.writeCell(this.bitIndex(row, col), EMPTY, null);
+            this.heights[col] = Math.min(this.heights[col], row);
         }
     }
     
@@ -56,17 +287,12 @@ export class Board {
      * @returns {number} Row index, or -1 if column is full
      */
     findLowestRow(col) {
-        if (col < 0 || col >= COLS) {
+        if (col < 0 || col >= this.cols) {
             return -1;
         }
         
-        for (let row = 0; row < ROWS; row++) {
-            if (this.grid[row][col] === EMPTY) {
-                return row;
-            }
-        }
-        
-        return -1; // Column is full
+        const row = this.heights[col];
+        return row < this.rows ? row : -1; // -1 if column is full
     }
     
     /**
@@ -82,25 +308,230 @@ export class Board {
      * Drop a token into a column
      * @param {number} col - Column index
      * @param {number} player - Player value (1 or 2)
+     * @param {string|null} special - Special token kind, if any
      * @returns {number} Row where token landed, or -1 if invalid
      */
-    dropToken(col, player) {
+    dropToken(col, player, special = null) {
         const row = this.findLowestRow(col);
         
         if (row === -1) {
             return -1; // Column is full
         }
         
-        this.grid[row][col] = player;
+        this.writeCell(this.bitIndex(row, col), player, special);
+        this.heights[col] = this.scanLowestRow(col, row + 1);
         return row;
     }
     
+    /**
+     * Drop an anvil token, clearing every token in its column so it lands at the bottom
+     * @param {number} col - Column index
+     * @param {number} player - Player value (1 or 2)
+     * @returns {Object|null} {row, cleared} with the cleared tokens [{row, player, special}], or null if invalid
+     */
+    dropAnvil(col, player) {
+        if (col < 0 || col >= this.cols) {
+            return null;
+        }
+        
+        const cleared = [];
+        for (let row = 0; row < this.rows; row++) {
+            const cell = this.getCell(row, col);
+            if (cell !== EMPTY) {
+                cleared.push({ row, player: cell, special: this.getSpecial(row, col) });
+            }
+            this.writeCell(this.bitIndex(row, col), EMPTY, null);
+        }
+        
+        this.setCell(0, col, player, SPECIAL_TOKEN.ANVIL);
+        
+        return { row: 0, cleared };
+    }
+    
+    /**
+     * Remove a token, shifting the tokens above it down one row
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} Player whose token was removed, or EMPTY if the cell was empty
+     */
+    removeToken(row, col) {
+        const removed = this.getCell(row, col);
+        
+        if (removed === null || removed === EMPTY) {
+            return EMPTY;
+        }
+        
+        for (let r = row; r < this.rows - 1; r++) {
+            this.writeCell(this.bitIndex(r, col), this.getCell(r + 1, col), this.getSpecial(r + 1, col));
+        }
+        this.writeCell(this.bitIndex(this.rows - 1, col), EMPTY, null);
+        this.heights[col] = this.scanLowestRow(col);
+        
+        return removed;
+    }
+    
+    /**
+     * Check if a player can pop a token out of a column (PopOut)
+     * @param {number} col - Column index
+     * @param {number} player - Player value (1 or 2)
+     * @returns {boolean} True if the bottom token of the column is the player's
+     */
+    canPop(col, player) {
+        return this.getCell(0, col) === player;
+    }
+    
+    /**
+     * Remove the bottom token of a column, shifting the rest of the column down (PopOut)
+     * @param {number} col - Column index
+     * @returns {number} Player whose token was popped, or EMPTY if the column was empty
+     */
+    popToken(col) {
+        return this.removeToken(0, col);
+    }
+    
+    /**
+     * Turn the board a quarter turn and let every token fall to the new bottom (Gravity Flip).
+     * Only square boards can be turned, so the board keeps its shape.
+     * @param {boolean} clockwise - Turn direction, as seen from the front
+     * @returns {Array|null} Moved tokens [{player, special, from, turned, to}], each position a [row, col]:
+     * where the token was, where the turn carried it and where it came to rest; null if the board isn't square
+     */
+    rotate(clockwise = true) {
+        if (this.rows !== this.cols || this.depth !== 1) {
+            return null;
+        }
+        
+        const size = this.rows;
+        const tokens = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const player = this.getCell(row, col);
+                if (player === EMPTY) continue;
+                
+                const turned = clockwise ? [size - 1 - col, row] : [col, size - 1 - row];
+                tokens.push({ player, special: this.getSpecial(row, col), from: [row, col], turned, to: null });
+            }
+        }
+        
+        this.cells.fill(EMPTY);
+        this.masks.fill(0n);
+        this.walls = 0n;
+        this.heights.fill(0);
+        this.specials.clear();
+        
+        // Lowest tokens land first so each column keeps its order
+        tokens.sort((a, b) => a.turned[0] - b.turned[0]);
+        for (const token of tokens) {
+            const col = token.turned[1];
+            token.to = [this.dropToken(col, token.player, token.special), col];
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Exchange two players' tokens; every token stays where it is (swap rule)
+     * @param {number} a - Player number
+     * @param {number} b - Player number
+     */
+    swapPlayers(a, b) {
+        for (let index = 0; index < this.cells.length; index++) {
+            if (this.cells[index] === a) {
+                this.cells[index] = b;
+            } else if (this.cells[index] === b) {
+                this.cells[index] = a;
+            }
+        }
+        [this.masks[a], this.masks[b]] = [this.masks[b], this.masks[a]];
+    }
+    
+    /**
+     * Get a string key for the current position (used for repetition checks)
+     * @returns {string} Position key
+     */
+    getKey() {
+        const rows = [];
+        for (let row = 0; row < this.rows; row++) {
+            let key = '';
+            for (let col = 0; col < this.cols; col++) {
+                const special = this.getSpecial(row, col);
+                key += this.getCell(row, col) + (special ? special[0] : '');
+            }
+            rows.push(key);
+        }
+        return rows.join('/');
+    }
+    
+    /**
+     * Get a key for the current position built from the bitboards (used for search lookup tables).
+     * Cheaper than getKey, but special tokens other than walls aren't part of it.
+     * @returns {string} Position key
+     */
+    getBitKey() {
+        const size = BigInt(this.cells.length);
+        let key = this.walls;
+        for (let player = PLAYER_1; player <= MAX_PLAYERS; player++) {
+            key = (key << size) | this.masks[player];
+        }
+        return key.toString(36);
+    }
+    
+    /**
+     * Get the line directions on this board (see DIRECTIONS)
+     * @returns {Array} Array of directions
+     */
+    getLineDirections() {
+        return DIRECTIONS;
+    }
+    
+    /**
+     * Get the bit shifts that step along each line direction, 1 to winLength - 1 steps
+     * @returns {bigint[][]} Shifts for each direction
+     */
+    getLineShifts() {
+        if (!this.lineShifts) {
+            this.lineShifts = this.getLineDirections().map(([dRow, dCol, dZ = 0]) => {
+                const step = Math.abs(dRow + dCol * this.stride + dZ * this.zStride);
+                return Array.from({ length: this.winLength - 1 }, (_, i) => BigInt(step * (i + 1)));
+            });
+        }
+        return this.lineShifts;
+    }
+    
+    /**
+     * Check if a player has a line of winLength tokens anywhere on the board (walls don't count).
+     * Every line in a direction is checked at once on the player's bitboard.
+     * @param {number} player - Player number
+     * @returns {boolean} True if the player has a line
+     */
+    hasLine(player) {
+        let mask = this.masks[player] & ~this.walls;
+        if (!mask) return false;
+        
+        // On a cylinder, a copy of the board laid after the last column lets lines run on round the seam
+        // (a line can't be longer than the board is round)
+        if (this.wrap && this.winLength <= this.cols) {
+            mask |= mask << BigInt(this.cols * this.stride);
+        }
+        
+        for (const shifts of this.getLineShifts()) {
+            let line = mask;
+            for (const shift of shifts) {
+                line &= mask >> shift;
+                if (!line) break;
+            }
+            if (line) return true;
+        }
+        
+        return false;
+    }
+    
     /**
      * Check if the board is completely full (draw condition)
      * @returns {boolean} True if board is full
      */
     isFull() {
-        for (let col = 0; col < COLS; col++) {
+        for (let col = 0; col < this.cols; col++) {
             if (!this.isColumnFull(col)) {
                 return false;
             }
@@ -114,7 +545,7 @@ export class Board {
      */
     getValidMoves() {
         const validMoves = [];
-        for (let col = 0; col < COLS; col++) {
+        for (let col = 0; col < this.cols; col++) {
             if (!this.isColumnFull(col)) {
                 validMoves.push(col);
             }
@@ -127,12 +558,13 @@ export class Board {
      * @returns {Board} New board instance with copied state
      */
     clone() {
-        const newBoard = new Board();
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS; col++) {
-                newBoard.grid[row][col] = this.grid[row][col];
-            }
-        }
+        const newBoard = new this.constructor(this.getConfig());
+        newBoard.cells.set(this.cells);
+        newBoard.heights.set(this.heights);
+        newBoard.masks = [...this.masks];
+        newBoard.walls = this.walls;
+        newBoard.specials = new Map(this.specials);
+        newBoard.lineShifts = this.lineShifts;
         return newBoard;
     }
     
@@ -141,16 +573,14 @@ export class Board {
      */
     print() {
         console.log('\n--- Board State ---');
-        for (let row = ROWS - 1; row >= 0; row--) {
+        for (let row = this.rows - 1; row >= 0; row--) {
             let rowStr = `${row}: `;
-            for (let col = 0; col < COLS; col++) {
-                const cell = this.grid[row][col];
-                rowStr += cell === EMPTY ? '.' : cell === PLAYER_1 ? 'R' : 'Y';
-                rowStr += ' ';
+            for (let col = 0; col < this.cols; col++) {
+                rowStr += PLAYER_SYMBOLS[this.getCell(row, col)] + ' ';
             }
             console.log(rowStr);
         }
-        console.log('   0 1 2 3 4 5 6');
+        console.log('   ' + Array.from({ length: this.cols }, (_, col) => col).join(' '));
         console.log('-------------------\n');
     }
 }
@@ -0,0 +1,110 @@
+/**
+ * Board state for 3D "Score Four"
+ * A square grid of vertical pegs, each holding beads stacked from the bottom.
+ * Pegs play the part of columns and levels the part of rows, so a peg index
+ * can be used anywhere a column index is expected.
+ */
+
+import { Board, PLAYER_SYMBOLS } from './Board.js';
+
+// Standard Score Four board: 4x4 pegs, 4 beads high
+export const PEG_GRID_SIZE = 4;
+
+// Line directions on a 3D board: [deltaLevel, deltaX, deltaZ]
+// One of each opposite pair, giving the 13 lines through a bead
+export const DIRECTIONS_3D = [
+    [0, 1, 0],    // Along x
+    [0, 0, 1],    // Along z
+    [1, 0, 0],    // Vertical (up the peg)
+    [0, 1, 1],    // Level diagonal
+    [0, 1, -1],   // Level anti-diagonal
+    [1, 1, 0],    // Rising along x
+    [1, -1, 0],   // Falling along x
+    [1, 0, 1],    // Rising along z
+    [1, 0, -1],   // Falling along z
+    [1, 1, 1],    // Space diagonals
+    [1, 1, -1],
+    [1, -1, 1],
+    [1, -1, -1]
+];
+
+/**
+ * Create a 3D board config for a square grid of pegs
+ * @param {number} size - Pegs along each side (also the number of levels)
+ * @returns {Object} Board config {rows, cols, width, depth}
+ */
+export function createBoard3DConfig(size = PEG_GRID_SIZE) {
+    return {
+        rows: size,          // Levels
+        cols: size * size,   // Pegs
+        width: size,         // Pegs along x
+        depth: size          // Pegs along z
+    };
+}
+
+/**
+ * Get the peg index for a grid position
+ * @param {number} x - Peg position along x
+ * @param {number} z - Peg position along z
+ * @param {number} width - Pegs along x
+ * @returns {number} Peg index
+ */
+export function toPeg(x, z, width) {
+    return z * width + x;
+}
+
+export class Board3D extends Board {
+    /**
+     * @param {Object} config - Board config {rows, cols, width, depth, winLength}
+     */
+    constructor(config = {}) {
+        const dims = config.width ? config : createBoard3DConfig();
+        // Pegs don't wrap around
+        super({ ...config, rows: dims.rows, cols: dims.cols, width: dims.width, depth: dims.depth, wrap: false });
+    }
+    
+    /**
+     * Get the config this board was created with
+     * @returns {Object} Board config {rows, cols, width, depth, winLength, layout}
+     */
+    getConfig() {
+        return { ...super.getConfig(), width: this.width, depth: this.depth };
+    }
+    
+    /**
+     * Get the line directions on this board (see DIRECTIONS_3D)
+     * @returns {Array} Array of directions
+     */
+    getLineDirections() {
+        return DIRECTIONS_3D;
+    }
+    
+    /**
+     * Get the grid position of a peg
+     * @param {number} peg - Peg index
+     * @returns {Object} Peg position {x, z}
+     */
+    pegToXZ(peg) {
+        return { x: peg % this.width, z: Math.floor(peg / this.width) };
+    }
+    
+    /**
+     * Print board to console (for debugging), one level per block
+     */
+    print() {
+        console.log('\n--- Board State ---');
+        for (let row = this.rows - 1; row >= 0; row--) {
+            console.log(`Level ${row}:`);
+            for (let z = 0; z < this.depth; z++) {
+                let rowStr = '  ';
+                for (let x = 0; x < this.width; x++) {
+                    rowStr += PLAYER_SYMBOLS[this.getCell(row, toPeg(x, z, this.width))] + ' ';
+                }
+                console.log(rowStr);
+            }
+        }
+        console.log('-------------------\n');
+    }
+}
+
+export default Board3D;
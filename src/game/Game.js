@@ -3,15 +3,34 @@
  * Manages game state, turns, and coordinates between logic and visuals
  */
 
-import { Board, PLAYER_1, PLAYER_2, EMPTY } from './Board.js';
-import { checkWin } from './GameLogic.js';
+import { PLAYER_1, PLAYER_2, PLAYER_3, PLAYER_4, EMPTY, getPlayers } from './Board.js';
+import { checkWin, checkWinInColumn, findWins, isDeadPosition, analyzeThreats } from './GameLogic.js';
+import {
+    createRules,
+    createBoard,
+    allowsPop,
+    usesPowerUps,
+    isPowerUp,
+    createPowerUpInventory,
+    allowsRotation,
+    isRotation,
+    ROTATIONS,
+    ROTATIONS_PER_GAME,
+    MOVE_TYPE,
+    pickOpening
+} from './Rules.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { getDefaultLogger } from './Logger.js';
 
 export const GAME_STATE = {
     WAITING: 'waiting',      // Waiting to start
     PLAYING: 'playing',      // Game in progress
     WIN: 'win',              // Game won
     DRAW: 'draw',            // Game is a draw
-    ANIMATING: 'animating'   // Token animation in progress
+    TIMEOUT: 'timeout',      // A player ran out of time
+    ANIMATING: 'animating',  // Token animation in progress
+    EDITING: 'editing',      // Position being set up by hand
+    REPLAY: 'replay'         // Finished game being watched again (see startReplay)
 };
 
 export const GAME_MODE = {
@@ -19,121 +38,1544 @@ export const GAME_MODE = {
     CPU: 'cpu'       // Player vs CPU
 };
 
-export class Game {
-    constructor() {
-        this.board = new Board();
+// Why a game ended (see Game.resultReason)
+export const RESULT_REASON = {
+    CONNECT: 'connect',            // A line was connected (several at once by a board turn is a draw)
+    BOARD_FULL: 'board-full',      // No move was left (or, in PopOut, a position came up three times)
+    RESIGNATION: 'resignation',    // A player resigned
+    AGREEMENT: 'agreement',        // The players agreed a draw
+    TIMEOUT: 'timeout',            // A player ran out of time
+    DEAD_POSITION: 'dead-position' // Nobody could connect any more, so the game was drawn early (earlyDraw rule)
+};
+
+// Why a move was refused (see Game.tryMove)
+export const MOVE_ERROR = {
+    GAME_OVER: 'game-over',          // The game has ended
+    NOT_PLAYING: 'not-playing',      // The game hasn't started, or is being edited or replayed
+    ANIMATING: 'animating',          // The last move is still being animated
+    NOT_YOUR_TURN: 'not-your-turn',  // The move was made for a player who isn't to move
+    OUT_OF_RANGE: 'out-of-range',    // There is no such column
+    COLUMN_FULL: 'column-full',      // The column has no room for another token
+    NOT_ALLOWED: 'not-allowed'       // The variant, or what the player has left, doesn't allow the move
+};
+
+// Chess-clock time controls: base time and increment per move, in ms (off = untimed)
+export const TIME_CONTROLS = {
+    off: null,
+    '1+0': { base: 60000, increment: 0 },
+    '3+2': { base: 180000, increment: 2000 },
+    '5+3': { base: 300000, increment: 3000 }
+};
+
+// Events a Game emits (see EventEmitter), with their payloads
+export const GAME_EVENT = {
+    STATE_CHANGE: 'stateChange',         // Anything changed: state info (see getStateInfo)
+    MOVE_MADE: 'moveMade',               // A move was played and its outcome settled: {move, moveNumber, state}
+    TURN_CHANGED: 'turnChanged',         // Another player is to move: {player, playerName, previousPlayer, state}
+    GAME_OVER: 'gameOver',               // The game was won, drawn or lost on time: {result, reason, winner, winnerName, winningPositions, winningLines, timedOutPlayer, moveCount, state}
+    UNDO: 'undo',                        // Moves were taken back: {moves (most recent first), state}
+    REDO: 'redo',                        // Undone moves were played again: {moves, state}
+    RESET: 'reset',                      // A new game started or the game was reset: {state}
+    TOKEN_PLACED: 'tokenPlaced',         // A token was dropped, before the outcome is settled: move
+    TOKEN_POPPED: 'tokenPopped',         // A token was popped out (PopOut): move
+    POWER_UP_USED: 'powerUpUsed',        // An anvil or bomb changed the board (Power Up): move
+    BOARD_ROTATED: 'boardRotated',       // The board was turned (Gravity Flip): move
+    PLAYERS_SWAPPED: 'playersSwapped',   // The second player took over the first move (swap rule): move
+    MOVE_UNDONE: 'moveUndone',           // One move was taken back: move
+    DRAW_OFFERED: 'drawOffered',         // A player offered a draw: {player, playerName, state}
+    DRAW_DECLINED: 'drawDeclined',       // A draw offer was turned down: {player (who offered), state}
+    MOVE_REJECTED: 'moveRejected',       // A move was refused: {code (see MOVE_ERROR), error, col, type, player}
+    POSITION_LOADED: 'positionLoaded'    // A whole position was set up at once (see loadFromMoves): {state}
+};
+
+// The single callback slots that predate the events, kept working on top of them
+const CALLBACK_EVENTS = {
+    onStateChange: GAME_EVENT.STATE_CHANGE,
+    onTokenPlaced: GAME_EVENT.TOKEN_PLACED,
+    onTokenPopped: GAME_EVENT.TOKEN_POPPED,
+    onPowerUpUsed: GAME_EVENT.POWER_UP_USED,
+    onBoardRotated: GAME_EVENT.BOARD_ROTATED,
+    onPlayersSwapped: GAME_EVENT.PLAYERS_SWAPPED,
+    onMoveUndone: GAME_EVENT.MOVE_UNDONE,
+    onPositionLoaded: GAME_EVENT.POSITION_LOADED
+};
+
+// Events a replay passes on from the game it steps through, so the view can animate each step
+const REPLAY_EVENTS = [
+    GAME_EVENT.TOKEN_PLACED,
+    GAME_EVENT.TOKEN_POPPED,
+    GAME_EVENT.POWER_UP_USED,
+    GAME_EVENT.BOARD_ROTATED,
+    GAME_EVENT.PLAYERS_SWAPPED,
+    GAME_EVENT.MOVE_UNDONE
+];
+
+// Move strings write each move as a single 1-based column digit
+const MAX_MOVE_STRING_COLS = 9;
+
+// Color names used in player labels
+const PLAYER_COLORS = {
+    [PLAYER_1]: 'Red',
+    [PLAYER_2]: 'Yellow',
+    [PLAYER_3]: 'Green',
+    [PLAYER_4]: 'Purple'
+};
+
+/**
+ * Copy power-up inventories, so later moves don't change the copy
+ * @param {Object} powerUps - Map of player to inventory
+ * @returns {Object} Copied map
+ */
+function copyPowerUps(powerUps) {
+    const copy = {};
+    for (const [player, inventory] of Object.entries(powerUps)) {
+        copy[player] = { ...inventory };
+    }
+    return copy;
+}
+
+export class Game extends EventEmitter {
+    /**
+     * @param {Object} rules - Game rules (see createRules)
+     */
+    constructor(rules = createRules()) {
+        super();
+        this.rules = rules;
+        this.board = createBoard(rules);
+        this.firstPlayer = PLAYER_1; // Player who moves first this game
         this.currentPlayer = PLAYER_1;
         this.gameState = GAME_STATE.WAITING;
         this.gameMode = GAME_MODE.PVP;
         this.winner = null;
         this.winningPositions = null;
-        this.moveHistory = [];
+        this.winningLines = null; // Each winning line {positions, kind} (see checkWin); winningPositions has all their cells
+        this.resultReason = null; // Why the game ended (see RESULT_REASON), or null while it goes on
+        this.drawOffer = null; // Player whose draw offer awaits an answer, or null
+        this.lastMoveError = null; // Why the last refused move was refused {code, error}, see tryMove
+        this.moveHistory = []; // Moves played, each stamped with the time it was made (move.time, ms since the epoch)
+        this.startedAt = null; // When the game started (ms since the epoch)
+        this.opening = ''; // Opening moves the game started from (see pickOpening); they can't be undone
+        this.snapshots = []; // State from before each move in moveHistory, for undo
+        this.replay = null; // Replay being watched {game, index, board, state, seeking}, or null
+        this.redoStack = []; // Undone moves, most recent last
+        this.replaying = false; // Set while redo replays moves, to hold back state notifications
+        this.positionCounts = new Map(); // Position repetitions (PopOut)
+        this.powerUps = this.createPowerUps(); // Remaining special tokens per player (Power Up)
+        this.rotations = this.createRotations(); // Remaining board turns per player (Gravity Flip)
+        this.startPosition = this.createSnapshot(true); // State the game started from, for replays
+        this.cpuPlayers = null; // Seats the CPU plays in CPU mode (null = every seat but Player 1)
+        this.timeControl = null; // Chess clock {base, increment} in ms, or null for an untimed game
+        this.clocks = {}; // Time left per player in ms, not counting the running clock
+        this.clockPlayer = null; // Player whose clock is running
+        this.clockStartedAt = null; // When the running clock was started (null = no clock running)
+        this.clockPaused = false; // Set while the page is hidden
+        this.timedOutPlayer = null; // Player who ran out of time
+        this.reported = { player: null, over: false }; // Turn and result listeners last heard about
+        this.logger = null; // Logger for this game's messages (null = the engine default, see Logger.js)
         this.onStateChange = null; // Callback for state changes
         this.onTokenPlaced = null; // Callback when token is placed
+        this.onTokenPopped = null; // Callback when token is popped (PopOut)
+        this.onPowerUpUsed = null; // Callback when an anvil or bomb changes the board (Power Up)
+        this.onBoardRotated = null; // Callback when the board is turned (Gravity Flip)
+        this.onPlayersSwapped = null; // Callback when the second player takes over the first move (swap rule)
+        this.onMoveUndone = null; // Callback when a move is taken back
+        this.onPositionLoaded = null; // Callback when a whole position is set up at once (see loadFromMoves)
+        
+        for (const [callback, event] of Object.entries(CALLBACK_EVENTS)) {
+            this.on(event, (payload) => {
+                if (this[callback]) this[callback](payload);
+            });
+        }
+    }
+    
+    /**
+     * Start a new game
+     * @param {string} mode - Game mode ('pvp' or 'cpu')
+     * @param {Object} rules - Game rules for this game (see createRules)
+     * @param {number} firstPlayer - Player who moves first
+     * @param {string} opening - Moves to start from, as a move string (a random one is drawn if the rules use openings)
+     */
+    startGame(mode = GAME_MODE.PVP, rules = this.rules, firstPlayer = PLAYER_1, opening = pickOpening(rules)) {
+        this.rules = rules;
+        this.board = createBoard(rules);
+        this.firstPlayer = firstPlayer;
+        this.currentPlayer = firstPlayer;
+        this.gameState = GAME_STATE.PLAYING;
+        this.gameMode = mode;
+        this.winner = null;
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = null;
+        this.drawOffer = null;
+        this.moveHistory = [];
+        this.snapshots = [];
+        this.redoStack = [];
+        this.positionCounts = new Map();
+        this.powerUps = this.createPowerUps();
+        this.rotations = this.createRotations();
+        this.replay = null;
+        this.resetClocks();
+        this.startPosition = this.createSnapshot(true);
+        this.startedAt = Date.now();
+        this.reportReset();
+        this.playOpening(opening);
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Play the opening moves at the start of a game; the clocks don't run for them
+     * and undo stops at the end of the opening
+     * @param {string} opening - Move string (see loadFromMoves)
+     */
+    playOpening(opening) {
+        this.replaying = true;
+        try {
+            for (const digit of opening) {
+                this.makeMove(Number(digit) - 1);
+            }
+        } finally {
+            this.replaying = false;
+        }
+        
+        this.opening = opening;
+    }
+    
+    /**
+     * Reset the game to initial state
+     */
+    reset() {
+        this.board.reset();
+        this.currentPlayer = this.firstPlayer;
+        this.gameState = GAME_STATE.WAITING;
+        this.winner = null;
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = null;
+        this.drawOffer = null;
+        this.moveHistory = [];
+        this.opening = '';
+        this.snapshots = [];
+        this.redoStack = [];
+        this.positionCounts = new Map();
+        this.powerUps = this.createPowerUps();
+        this.rotations = this.createRotations();
+        this.replay = null;
+        this.resetClocks();
+        this.startPosition = this.createSnapshot(true);
+        this.reportReset();
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Tell listeners a new game has begun (before any opening moves); the first turn is then reported afresh
+     */
+    reportReset() {
+        this.reported = { player: null, over: false };
+        this.emit(GAME_EVENT.RESET, { state: this.getStateInfo() });
+    }
+    
+    /**
+     * Create the power-up inventories for a new game (empty unless playing Power Up)
+     * @returns {Object} Map of player to inventory
+     */
+    createPowerUps() {
+        if (!usesPowerUps(this.rules)) {
+            return {};
+        }
+        
+        const powerUps = {};
+        for (const player of this.getPlayers()) {
+            powerUps[player] = createPowerUpInventory();
+        }
+        return powerUps;
+    }
+    
+    /**
+     * Set the chess clock for the next game
+     * @param {Object|null} timeControl - {base, increment} in ms (see TIME_CONTROLS), or null for no clock
+     */
+    setTimeControl(timeControl) {
+        this.timeControl = timeControl;
+    }
+    
+    /**
+     * Send this game's messages (rejected moves, failing listeners) to a logger of its own
+     * @param {Object|null} logger - Object with log, warn and error methods, or null for the engine default
+     */
+    setLogger(logger) {
+        this.logger = logger;
+    }
+    
+    /**
+     * Get the logger this game's messages go to
+     * @returns {Object} Logger {log, warn, error}
+     */
+    getLogger() {
+        return this.logger || getDefaultLogger();
+    }
+    
+    /**
+     * Log a listener that threw through this game's logger (see EventEmitter.emit)
+     * @param {string} event - Event name
+     * @param {Error} error - The error thrown
+     */
+    reportListenerError(event, error) {
+        this.getLogger().error(`Error in ${event} listener:`, error);
+    }
+    
+    /**
+     * Give every player the full base time and stop the clock
+     */
+    resetClocks() {
+        this.clocks = {};
+        if (this.timeControl) {
+            for (const player of this.getPlayers()) {
+                this.clocks[player] = this.timeControl.base;
+            }
+        }
+        this.clockPlayer = null;
+        this.clockStartedAt = null;
+        this.timedOutPlayer = null;
+    }
+    
+    /**
+     * Run the clock of the player to move while the game is being played, and stop it otherwise
+     * (animations, editing, a finished game, a hidden page)
+     */
+    syncClock() {
+        const shouldRun = this.timeControl !== null && this.gameState === GAME_STATE.PLAYING && !this.clockPaused;
+        
+        if (this.clockStartedAt !== null && (!shouldRun || this.clockPlayer !== this.currentPlayer)) {
+            this.stopClock();
+        }
+        
+        if (shouldRun && this.clockStartedAt === null) {
+            this.clockPlayer = this.currentPlayer;
+            this.clockStartedAt = performance.now();
+        }
+    }
+    
+    /**
+     * Stop the running clock, taking the time used off its player
+     */
+    stopClock() {
+        if (this.clockStartedAt === null) {
+            return;
+        }
+        
+        this.clocks[this.clockPlayer] -= performance.now() - this.clockStartedAt;
+        this.clockStartedAt = null;
+    }
+    
+    /**
+     * Stop the clock after a move and add the increment to the player who moved
+     * @param {number} player - Player who moved
+     */
+    pressClock(player) {
+        if (!this.timeControl) {
+            return;
+        }
+        
+        this.stopClock();
+        this.clocks[player] += this.timeControl.increment;
+    }
+    
+    /**
+     * Pause or resume the clock (while the page is hidden)
+     * @param {boolean} paused - Whether the clock should be held
+     */
+    setClockPaused(paused) {
+        this.clockPaused = paused;
+        this.syncClock();
+    }
+    
+    /**
+     * Get each player's time left, counting the running clock
+     * @returns {Object|null} Map of player to ms left, or null in an untimed game
+     */
+    getClockTimes() {
+        if (!this.timeControl) {
+            return null;
+        }
+        
+        const times = { ...this.clocks };
+        if (this.clockStartedAt !== null) {
+            times[this.clockPlayer] -= performance.now() - this.clockStartedAt;
+        }
+        for (const player of Object.keys(times)) {
+            times[player] = Math.max(0, times[player]);
+        }
+        return times;
+    }
+    
+    /**
+     * End the game if the running clock has run out (call regularly while playing)
+     * @returns {boolean} True if the player to move ran out of time
+     */
+    checkClock() {
+        if (this.clockStartedAt === null) {
+            return false;
+        }
+        
+        const times = this.getClockTimes();
+        if (times[this.clockPlayer] > 0) {
+            return false;
+        }
+        
+        this.timeOut(this.clockPlayer);
+        return true;
+    }
+    
+    /**
+     * End the game on time: the player loses, and in a two-player game the opponent wins.
+     * With three or four players the whole game ends with no winner
+     * @param {number} player - Player who ran out of time
+     */
+    timeOut(player) {
+        this.stopClock();
+        this.clocks[player] = 0;
+        
+        const players = this.getPlayers();
+        this.gameState = GAME_STATE.TIMEOUT;
+        this.timedOutPlayer = player;
+        this.winner = players.length === 2 ? players.find(p => p !== player) : null;
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = RESULT_REASON.TIMEOUT;
+        this.drawOffer = null;
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Create the board turn allowances for a new game (none unless playing Gravity Flip)
+     * @returns {Object} Map of player to remaining turns
+     */
+    createRotations() {
+        if (!allowsRotation(this.rules)) {
+            return {};
+        }
+        
+        const rotations = {};
+        for (const player of this.getPlayers()) {
+            rotations[player] = ROTATIONS_PER_GAME;
+        }
+        return rotations;
+    }
+    
+    /**
+     * Check if a player can still turn the board
+     * @param {number} player - Player number
+     * @returns {boolean} True if the player has a board turn left
+     */
+    hasRotation(player) {
+        return this.rotations[player] > 0;
+    }
+    
+    /**
+     * Check if a player still has a power-up
+     * @param {number} player - Player number
+     * @param {string} type - Power-up move type
+     * @returns {boolean} True if the power-up can still be used
+     */
+    hasPowerUp(player, type) {
+        const inventory = this.powerUps[player];
+        return Boolean(inventory && inventory[type] > 0);
+    }
+    
+    /**
+     * Attempt to make a move, and say why if it is refused
+     * @param {number} col - Column index (ignored for board turns and swaps)
+     * @param {string} type - Move type (see MOVE_TYPE)
+     * @param {Object} options - Extra move options (see makeMove)
+     * @returns {Object} Result {success, move, code, error}: the move made, or the MOVE_ERROR code and a message
+     */
+    tryMove(col, type = MOVE_TYPE.DROP, options = {}) {
+        const move = this.makeMove(col, type, options);
+        if (move) {
+            return { success: true, move, code: null, error: null };
+        }
+        return { success: false, move: null, ...this.lastMoveError };
+    }
+    
+    /**
+     * Refuse a move: log it, remember why (see tryMove) and tell MOVE_REJECTED listeners
+     * @param {string} code - Reason (see MOVE_ERROR)
+     * @param {string} error - Message
+     * @param {number} col - Column of the move
+     * @param {string} type - Move type
+     * @returns {null} Always null, for makeMove to return
+     */
+    rejectMove(code, error, col, type) {
+        this.getLogger().log(error);
+        this.lastMoveError = { code, error };
+        this.emit(GAME_EVENT.MOVE_REJECTED, { code, error, col, type, player: this.currentPlayer });
+        return null;
+    }
+    
+    /**
+     * Attempt to make a move in a column. A refused move returns null; tryMove or the
+     * MOVE_REJECTED event say why.
+     * @param {number} col - Column index
+     * @param {string} type - Move type (see MOVE_TYPE)
+     * @param {Object} options - Extra move options
+     * @param {number} options.row - Target row (bomb only)
+     * @param {number} options.player - Player making the move; refused unless it is their turn (any player if omitted)
+     * @returns {Object|null} Move result {type, row, col, player} or null if invalid
+     */
+    makeMove(col, type = MOVE_TYPE.DROP, options = {}) {
+        // Check if move is valid
+        if (this.gameState === GAME_STATE.ANIMATING) {
+            return this.rejectMove(MOVE_ERROR.ANIMATING, 'Wait for the last move to finish', col, type);
+        }
+        
+        if (this.gameState !== GAME_STATE.PLAYING) {
+            const over = [GAME_STATE.WIN, GAME_STATE.DRAW, GAME_STATE.TIMEOUT].includes(this.gameState);
+            return over
+                ? this.rejectMove(MOVE_ERROR.GAME_OVER, 'The game is over', col, type)
+                : this.rejectMove(MOVE_ERROR.NOT_PLAYING, 'Game is not in playing state', col, type);
+        }
+        
+        // The flag may have fallen while the move was being chosen
+        if (this.checkClock()) {
+            return this.rejectMove(MOVE_ERROR.GAME_OVER, 'Time ran out', col, type);
+        }
+        
+        if (options.player !== undefined && options.player !== this.currentPlayer) {
+            return this.rejectMove(MOVE_ERROR.NOT_YOUR_TURN, `It is ${this.getPlayerName(this.currentPlayer)}'s turn`, col, type);
+        }
+        
+        // Board turns and swaps don't take a column
+        if (!isRotation(type) && type !== MOVE_TYPE.SWAP &&
+            (!Number.isInteger(col) || col < 0 || col >= this.board.cols)) {
+            return this.rejectMove(MOVE_ERROR.OUT_OF_RANGE, `There is no column ${col}`, col, type);
+        }
+        
+        if (type === MOVE_TYPE.POP) {
+            return this.makePop(col);
+        }
+        
+        if (isPowerUp(type)) {
+            return this.makePowerUp(col, type, options);
+        }
+        
+        if (isRotation(type)) {
+            return this.makeRotation(type);
+        }
+        
+        if (type === MOVE_TYPE.SWAP) {
+            return this.makeSwap();
+        }
+        
+        if (type !== MOVE_TYPE.DROP) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'Unknown move type', col, type);
+        }
+        
+        if (this.board.isColumnFull(col)) {
+            return this.rejectMove(MOVE_ERROR.COLUMN_FULL, `Column ${col} is full`, col, type);
+        }
+        
+        // Make the move
+        const snapshot = this.createSnapshot(false);
+        const row = this.board.dropToken(col, this.currentPlayer);
+        
+        if (row === -1) {
+            return this.rejectMove(MOVE_ERROR.COLUMN_FULL, `Column ${col} is full`, col, type);
+        }
+        
+        // Record move
+        const move = {
+            type: MOVE_TYPE.DROP,
+            row,
+            col,
+            player: this.currentPlayer
+        };
+        this.recordMove(move, snapshot);
+        
+        // Notify that token was placed
+        this.emit(GAME_EVENT.TOKEN_PLACED, move);
+        
+        return this.finishMove(move, checkWin(this.board, row, col, this.currentPlayer));
+    }
+    
+    /**
+     * Pop the current player's token out of the bottom of a column (PopOut)
+     * @param {number} col - Column index
+     * @returns {Object|null} Move result {type, row, col, player} or null if invalid
+     */
+    makePop(col) {
+        if (!allowsPop(this.rules)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'Popping is not allowed in this variant', col, MOVE_TYPE.POP);
+        }
+        
+        if (!this.board.canPop(col, this.currentPlayer)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, `Cannot pop column ${col}`, col, MOVE_TYPE.POP);
+        }
+        
+        const snapshot = this.createSnapshot(true);
+        this.board.popToken(col);
+        
+        const move = {
+            type: MOVE_TYPE.POP,
+            row: 0,
+            col,
+            player: this.currentPlayer
+        };
+        this.recordMove(move, snapshot);
+        
+        // Notify that token was popped
+        this.emit(GAME_EVENT.TOKEN_POPPED, move);
+        
+        // Every token in the column moved, so any of them may now complete a line
+        return this.finishMove(move, checkWinInColumn(this.board, col, this.currentPlayer));
+    }
+    
+    /**
+     * Play one of the current player's special tokens (Power Up)
+     * @param {number} col - Column index
+     * @param {string} type - Power-up move type
+     * @param {Object} options - Extra move options
+     * @param {number} options.row - Target row (bomb only)
+     * @returns {Object|null} Move result {type, row, col, player} or null if invalid
+     */
+    makePowerUp(col, type, options = {}) {
+        const player = this.currentPlayer;
+        
+        if (!usesPowerUps(this.rules)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'Power-ups are not allowed in this variant', col, type);
+        }
+        
+        if (!this.hasPowerUp(player, type)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, `No ${type} left`, col, type);
+        }
+        
+        if (type === MOVE_TYPE.BOMB && options.row === undefined) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'A bomb needs a target row', col, type);
+        }
+        
+        if (!this.isValidMove(col, type, options)) {
+            // Walls and x2 tokens are dropped, so only a full column stops them
+            const code = type === MOVE_TYPE.BOMB ? MOVE_ERROR.NOT_ALLOWED : MOVE_ERROR.COLUMN_FULL;
+            return this.rejectMove(code, `Cannot play ${type} in column ${col}`, col, type);
+        }
+        
+        const move = { type, row: -1, col, player };
+        let winResult = null;
+        
+        // Only the anvil and bomb move other tokens; walls and x2 tokens can be taken back by clearing their cell
+        const snapshot = this.createSnapshot(type === MOVE_TYPE.ANVIL || type === MOVE_TYPE.BOMB);
+        
+        if (type === MOVE_TYPE.ANVIL) {
+            // The anvil clears its column and lands at the bottom
+            const { row, cleared } = this.board.dropAnvil(col, player);
+            move.row = row;
+            move.cleared = cleared;
+            winResult = checkWin(this.board, row, col, player);
+        } else if (type === MOVE_TYPE.BOMB) {
+            // The bomb removes an opponent token and the tokens above it fall
+            move.row = options.row;
+            move.target = this.board.removeToken(options.row, col);
+            winResult = checkWinInColumn(this.board, col, player);
+        } else {
+            // Walls and x2 tokens are dropped like normal tokens
+            move.row = this.board.dropToken(col, player, type);
+            winResult = checkWin(this.board, move.row, col, player);
+        }
+        
+        this.powerUps[player][type]--;
+        this.recordMove(move, snapshot);
+        
+        // Notify listeners (walls and x2 tokens are plain placements)
+        if (type === MOVE_TYPE.WALL || type === MOVE_TYPE.DOUBLE) {
+            this.emit(GAME_EVENT.TOKEN_PLACED, move);
+        } else {
+            this.emit(GAME_EVENT.POWER_UP_USED, move);
+        }
+        
+        return this.finishMove(move, winResult, type === MOVE_TYPE.DOUBLE);
+    }
+    
+    /**
+     * Turn the board a quarter turn, letting every token fall to the new bottom (Gravity Flip).
+     * The turn can complete lines for several players at once; if it does, nobody wins and the game is drawn.
+     * @param {string} type - MOVE_TYPE.ROTATE_LEFT or MOVE_TYPE.ROTATE_RIGHT
+     * @returns {Object|null} Move result {type, row, col, player, tokens} or null if invalid
+     */
+    makeRotation(type) {
+        const player = this.currentPlayer;
+        
+        if (!allowsRotation(this.rules)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'Turning the board is not allowed in this variant', -1, type);
+        }
+        
+        if (!this.hasRotation(player)) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'No board turn left', -1, type);
+        }
+        
+        const snapshot = this.createSnapshot(true);
+        const tokens = this.board.rotate(type === MOVE_TYPE.ROTATE_RIGHT);
+        this.rotations[player]--;
+        
+        const move = { type, row: -1, col: -1, player, tokens };
+        this.recordMove(move, snapshot);
+        
+        // Notify that the board was turned
+        this.emit(GAME_EVENT.BOARD_ROTATED, move);
+        
+        const wins = findWins(this.board, this.getPlayers());
+        if (wins.length > 1) {
+            this.gameState = GAME_STATE.DRAW;
+            this.winningPositions = wins.flatMap(win => win.positions);
+            this.winningLines = wins.flatMap(win => win.lines);
+            this.resultReason = RESULT_REASON.CONNECT;
+            this.reportMove(move);
+            return move;
+        }
+        
+        return this.finishMove(move, wins[0] || null);
+    }
+    
+    /**
+     * Get the point in the game where the swap rule applies: the second player's first turn after the opening
+     * @returns {number} Number of moves played when the swap is offered, or -1 without the swap rule
+     */
+    getSwapTurn() {
+        if (!this.rules.swap) {
+            return -1;
+        }
+        
+        // An opening of odd length ends with the first player's move, so the swap comes straight after it
+        const length = this.opening.length;
+        return length % 2 === 1 ? length : length + 1;
+    }
+    
+    /**
+     * Check if the player to move may swap (see makeSwap)
+     * @returns {boolean} True if a swap is a legal move now
+     */
+    canSwap() {
+        return this.gameState === GAME_STATE.PLAYING &&
+               this.moveHistory.length === this.getSwapTurn() &&
+               this.currentPlayer !== this.firstPlayer;
+    }
+    
+    /**
+     * Take over the first player's position instead of moving (swap rule): the two players'
+     * tokens, and anything they have left to play, change hands, and the other player moves next
+     * @returns {Object|null} Move result {type, row, col, player} or null if invalid
+     */
+    makeSwap() {
+        const player = this.currentPlayer;
+        
+        if (!this.canSwap()) {
+            return this.rejectMove(MOVE_ERROR.NOT_ALLOWED, 'Swapping is not allowed now', -1, MOVE_TYPE.SWAP);
+        }
+        
+        const snapshot = this.createSnapshot(true);
+        this.board.swapPlayers(this.firstPlayer, player);
+        [this.powerUps[this.firstPlayer], this.powerUps[player]] = [this.powerUps[player], this.powerUps[this.firstPlayer]];
+        [this.rotations[this.firstPlayer], this.rotations[player]] = [this.rotations[player], this.rotations[this.firstPlayer]];
+        
+        const move = { type: MOVE_TYPE.SWAP, row: -1, col: -1, player };
+        this.recordMove(move, snapshot);
+        
+        // Notify that the tokens changed hands
+        this.emit(GAME_EVENT.PLAYERS_SWAPPED, move);
+        
+        return this.finishMove(move, null);
+    }
+    
+    /**
+     * Capture the state an undo has to put back
+     * @param {boolean} keepBoard - Copy the whole board (for moves that shift or remove tokens)
+     * @returns {Object} Snapshot {board, currentPlayer, powerUps, rotations, positionCounts}
+     */
+    createSnapshot(keepBoard) {
+        return {
+            board: keepBoard ? this.board.clone() : null,
+            currentPlayer: this.currentPlayer,
+            powerUps: copyPowerUps(this.powerUps),
+            rotations: { ...this.rotations },
+            positionCounts: new Map(this.positionCounts)
+        };
+    }
+    
+    /**
+     * Add a move to the history
+     * @param {Object} move - The move that was made
+     * @param {Object} snapshot - State from before the move (see createSnapshot)
+     */
+    recordMove(move, snapshot) {
+        move.time = Date.now();
+        this.drawOffer = null; // An offer left unanswered lapses with the next move
+        this.moveHistory.push(move);
+        this.snapshots.push(snapshot);
+        
+        // A new move starts a new line of play
+        if (!this.replaying) {
+            this.redoStack = [];
+            this.pressClock(move.player);
+        }
+    }
+    
+    /**
+     * Check if there is a move to take back
+     * @returns {boolean} True if undo() would take back a move
+     */
+    canUndo() {
+        // Running out of time, resigning or agreeing a draw can't be taken back, and neither can the opening;
+        // nor can a move whose token is still falling. Only CPU moves so far: the CPU would just play them again
+        const cpuPlayers = this.getCPUPlayers();
+        return this.moveHistory.slice(this.opening.length).some(move => !cpuPlayers.includes(move.player)) &&
+               this.gameState !== GAME_STATE.WAITING &&
+               this.gameState !== GAME_STATE.ANIMATING &&
+               this.gameState !== GAME_STATE.TIMEOUT &&
+               this.gameState !== GAME_STATE.REPLAY &&
+               this.resultReason !== RESULT_REASON.RESIGNATION &&
+               this.resultReason !== RESULT_REASON.AGREEMENT;
+    }
+    
+    /**
+     * Check if there is an undone move to play again
+     * @returns {boolean} True if redo() would replay a move
+     */
+    canRedo() {
+        return this.redoStack.length > 0 && this.gameState === GAME_STATE.PLAYING;
+    }
+    
+    /**
+     * Take back the last move. In CPU mode, moves are taken back until a human
+     * has the turn again, so the CPU's reply and the human's move go together.
+     * @returns {Object[]} The undone moves, most recent first
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return [];
+        }
+        
+        const undone = [];
+        do {
+            undone.push(this.undoLastMove());
+        } while (this.moveHistory.length > this.opening.length && this.getCPUPlayers().includes(this.currentPlayer));
+        
+        this.drawOffer = null; // An offer belongs to the position it was made in
+        
+        this.emit(GAME_EVENT.UNDO, { moves: undone, state: this.getStateInfo() });
+        this.notifyStateChange();
+        
+        return undone;
+    }
+    
+    /**
+     * Restore the state from before the last move in the history; every move is made
+     * while the game is being played, so whatever result it brought is cleared too
+     * @returns {Object} The undone move
+     */
+    undoLastMove() {
+        const move = this.moveHistory.pop();
+        const snapshot = this.snapshots.pop();
+        
+        if (snapshot.board) {
+            this.board = snapshot.board;
+        } else {
+            this.board.clearCell(move.row, move.col);
+        }
+        this.currentPlayer = snapshot.currentPlayer;
+        this.powerUps = snapshot.powerUps;
+        this.rotations = snapshot.rotations;
+        this.positionCounts = snapshot.positionCounts;
+        this.gameState = GAME_STATE.PLAYING;
+        this.winner = null;
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = null;
+        this.redoStack.push(move);
+        
+        // Notify that the move was taken back
+        this.emit(GAME_EVENT.MOVE_UNDONE, move);
+        
+        return move;
+    }
+    
+    /**
+     * Play the last undone move again. In CPU mode, the CPU's replies are replayed
+     * with it, mirroring undo().
+     * @returns {Object[]} The replayed moves, in play order
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return [];
+        }
+        
+        const redone = [];
+        this.drawOffer = null; // An offer belongs to the position it was made in
+        this.replaying = true;
+        
+        try {
+            do {
+                // Leave a refused move (e.g. the flag fell) on the stack rather than lose it
+                const { col, type, row } = this.redoStack[this.redoStack.length - 1];
+                const move = this.makeMove(col, type, { row });
+                if (!move) break;
+                this.redoStack.pop();
+                redone.push(move);
+            } while (this.redoStack.length > 0 && this.isCPUTurn());
+        } finally {
+            this.replaying = false;
+        }
+        
+        this.emit(GAME_EVENT.REDO, { moves: redone, state: this.getStateInfo() });
+        this.notifyStateChange();
+        
+        return redone;
+    }
+    
+    /**
+     * Set up the position reached by a move string, e.g. "4453634": one 1-based column per drop,
+     * players taking turns from the game's first player (the format used by Connect 4 solvers).
+     * The current game is left alone if the string isn't a legal game.
+     * @param {string} moveString - Column digits
+     * @returns {Object} Result {success, error}; error says which move is illegal and why
+     */
+    loadFromMoves(moveString) {
+        const text = String(moveString).trim();
+        
+        if (this.board.cols > MAX_MOVE_STRING_COLS) {
+            return { success: false, error: `Move strings only cover boards up to ${MAX_MOVE_STRING_COLS} columns wide` };
+        }
+        
+        // Play the moves out on a separate game first
+        const game = new Game(this.rules);
+        game.startGame(this.gameMode, this.rules, this.firstPlayer, '');
+        
+        for (let i = 0; i < text.length; i++) {
+            const digit = text[i];
+            const col = Number(digit) - 1;
+            let error = null;
+            
+            if (!/[1-9]/.test(digit)) {
+                error = `"${digit}" is not a column number`;
+            } else if (col >= game.board.cols) {
+                error = `there is no column ${digit}`;
+            } else if (game.gameState !== GAME_STATE.PLAYING) {
+                error = 'the game is already over';
+            } else if (game.board.isColumnFull(col)) {
+                error = `column ${digit} is full`;
+            }
+            
+            if (error) {
+                return { success: false, error: `Move ${i + 1}: ${error}` };
+            }
+            
+            game.makeMove(col);
+        }
+        
+        this.loadGame(game);
+        
+        return { success: true, error: null };
+    }
+    
+    /**
+     * Take over the rules, position and history of a game played out separately
+     * (see loadFromMoves and GameRecord.replayRecord). The clocks start again from the base time.
+     * @param {Game} game - Game to copy
+     */
+    loadGame(game) {
+        this.rules = game.rules;
+        this.gameMode = game.gameMode;
+        this.board = game.board;
+        this.firstPlayer = game.firstPlayer;
+        this.currentPlayer = game.currentPlayer;
+        this.gameState = game.gameState;
+        this.winner = game.winner;
+        this.winningPositions = game.winningPositions;
+        this.winningLines = game.winningLines;
+        this.resultReason = game.resultReason;
+        this.drawOffer = null;
+        this.moveHistory = game.moveHistory;
+        this.startedAt = game.startedAt;
+        this.opening = game.opening;
+        this.snapshots = game.snapshots;
+        this.redoStack = [];
+        this.positionCounts = game.positionCounts;
+        this.powerUps = game.powerUps;
+        this.rotations = game.rotations;
+        this.startPosition = game.startPosition;
+        this.replay = null;
+        this.resetClocks();
+        this.timedOutPlayer = game.timedOutPlayer;
+        if (this.timedOutPlayer !== null && this.timeControl) {
+            this.clocks[this.timedOutPlayer] = 0;
+        }
+        
+        this.emit(GAME_EVENT.POSITION_LOADED, { state: this.getStateInfo() });
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Write the game so far as a move string (see loadFromMoves)
+     * @returns {string|null} Column digits, or null if the game can't be written that way
+     * (a pop, special token, board turn or swap was played, or the board is too wide)
+     */
+    toMoveString() {
+        if (this.board.cols > MAX_MOVE_STRING_COLS) {
+            return null;
+        }
+        
+        if (this.moveHistory.some(move => move.type !== MOVE_TYPE.DROP)) {
+            return null;
+        }
+        
+        return this.moveHistory.map(move => move.col + 1).join('');
     }
     
     /**
-     * Start a new game
-     * @param {string} mode - Game mode ('pvp' or 'cpu')
+     * Start watching the finished game again from its starting position. The replay steps
+     * through moveHistory (see stepReplay and seekReplay) on a separate game whose token events
+     * are passed on, so the view animates each step; no moves can be made while watching.
+     * @returns {boolean} True if the replay started (the game has to be over)
      */
-    startGame(mode = GAME_MODE.PVP) {
-        this.board.reset();
-        this.currentPlayer = PLAYER_1;
-        this.gameState = GAME_STATE.PLAYING;
-        this.gameMode = mode;
-        this.winner = null;
-        this.winningPositions = null;
-        this.moveHistory = [];
+    startReplay() {
+        const over = this.gameState === GAME_STATE.WIN || this.gameState === GAME_STATE.DRAW ||
+                     this.gameState === GAME_STATE.TIMEOUT;
+        if (!over) {
+            return false;
+        }
+        
+        const start = this.startPosition;
+        const game = new Game(this.rules);
+        game.setLogger(this.getLogger());
+        game.startGame(GAME_MODE.PVP, this.rules, this.firstPlayer, '');
+        game.board = start.board.clone();
+        game.currentPlayer = start.currentPlayer;
+        game.powerUps = copyPowerUps(start.powerUps);
+        game.rotations = { ...start.rotations };
+        game.positionCounts = new Map(start.positionCounts);
+        game.opening = this.opening; // Keeps the swap on the same turn
+        
+        this.replay = { game, index: 0, board: this.board, state: this.gameState, seeking: false };
+        for (const event of REPLAY_EVENTS) {
+            game.on(event, (move) => {
+                if (!this.replay.seeking) this.emit(event, move);
+            });
+        }
+        
+        this.board = game.board;
+        this.gameState = GAME_STATE.REPLAY;
         
+        this.emit(GAME_EVENT.POSITION_LOADED, { state: this.getStateInfo() });
         this.notifyStateChange();
+        
+        return true;
     }
     
     /**
-     * Reset the game to initial state
+     * Play the replay's next move, or take its last move back
+     * @param {boolean} forward - Step forward (true) or back (false)
+     * @returns {Object|null} The move played or taken back, or null at that end of the game
      */
-    reset() {
-        this.board.reset();
-        this.currentPlayer = PLAYER_1;
-        this.gameState = GAME_STATE.WAITING;
+    stepReplay(forward = true) {
+        if (!this.replay) {
+            return null;
+        }
+        
+        const { game } = this.replay;
+        let move = null;
+        
+        if (forward && this.replay.index < this.moveHistory.length) {
+            const { col, type, row } = this.moveHistory[this.replay.index];
+            move = game.makeMove(col, type, { row });
+            if (move) this.replay.index++;
+        } else if (!forward && this.replay.index > 0) {
+            move = game.undoLastMove();
+            this.replay.index--;
+        }
+        
+        // Moves that shift or remove tokens put a new board in place
+        this.board = game.board;
+        
+        if (move && !this.replay.seeking) {
+            this.notifyStateChange();
+        }
+        return move;
+    }
+    
+    /**
+     * Jump the replay to the position after a number of moves, without animating the moves in between
+     * @param {number} index - Moves played (0 = the starting position)
+     * @returns {boolean} True if a replay is being watched
+     */
+    seekReplay(index) {
+        if (!this.replay) {
+            return false;
+        }
+        
+        const target = Math.max(0, Math.min(index, this.moveHistory.length));
+        this.replay.seeking = true;
+        try {
+            while (this.replay.index < target && this.stepReplay(true)) {}
+            while (this.replay.index > target && this.stepReplay(false)) {}
+        } finally {
+            this.replay.seeking = false;
+        }
+        
+        this.emit(GAME_EVENT.POSITION_LOADED, { state: this.getStateInfo() });
+        this.notifyStateChange();
+        
+        return true;
+    }
+    
+    /**
+     * Stop watching the replay and go back to the finished game
+     */
+    stopReplay() {
+        if (!this.replay) {
+            return;
+        }
+        
+        this.board = this.replay.board;
+        this.gameState = this.replay.state;
+        this.replay = null;
+        
+        this.emit(GAME_EVENT.POSITION_LOADED, { state: this.getStateInfo() });
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Switch to setting up a position by hand, starting from the current board
+     */
+    startEditing() {
+        this.stopReplay();
+        this.gameState = GAME_STATE.EDITING;
         this.winner = null;
         this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = null;
+        this.drawOffer = null;
         this.moveHistory = [];
+        this.opening = '';
+        this.snapshots = [];
+        this.redoStack = [];
         
         this.notifyStateChange();
     }
     
     /**
-     * Attempt to make a move in a column
+     * Cycle a cell through empty and each player's token (position editor).
+     * Gravity doesn't apply while editing; validatePosition checks the result.
+     * @param {number} row - Row index
      * @param {number} col - Column index
-     * @returns {Object|null} Move result {row, col, player} or null if invalid
+     * @returns {number|null} New cell value, or null if not editing or off the board
      */
-    makeMove(col) {
-        // Check if move is valid
-        if (this.gameState !== GAME_STATE.PLAYING) {
-            console.log('Game is not in playing state');
+    cycleCell(row, col) {
+        const cell = this.board.getCell(row, col);
+        if (this.gameState !== GAME_STATE.EDITING || cell === null) {
             return null;
         }
         
-        if (this.board.isColumnFull(col)) {
-            console.log(`Column ${col} is full`);
-            return null;
+        const players = this.getPlayers();
+        const next = cell === EMPTY ? players[0] : players[players.indexOf(cell) + 1] || EMPTY;
+        this.board.setCell(row, col, next);
+        
+        return next;
+    }
+    
+    /**
+     * Empty the board while editing (tokens the variant starts with are put back)
+     */
+    clearPosition() {
+        if (this.gameState === GAME_STATE.EDITING) {
+            this.board.reset();
+        }
+    }
+    
+    /**
+     * Check that the board holds a position real play could reach: no token floats
+     * over an empty cell, players have the same number of tokens give or take one
+     * in turn order, and no more than one player has a line
+     * @returns {Object} Result {valid, errors}
+     */
+    validatePosition() {
+        const errors = [];
+        const players = this.getPlayers();
+        
+        for (let col = 0; col < this.board.cols; col++) {
+            const height = this.board.findLowestRow(col);
+            if (height === -1) continue;
+            
+            for (let row = height + 1; row < this.board.rows; row++) {
+                if (this.board.getCell(row, col) !== EMPTY) {
+                    errors.push(`Column ${col + 1} has a token floating above an empty cell`);
+                    break;
+                }
+            }
         }
         
-        // Make the move
-        const row = this.board.dropToken(col, this.currentPlayer);
+        const counts = this.getTokenCounts();
+        const order = this.getTurnOrder();
+        const first = counts[order[0]];
+        const balanced = order.every((player, i) =>
+            counts[player] <= first && counts[player] >= first - 1 &&
+            (i === 0 || counts[player] <= counts[order[i - 1]])
+        );
+        if (!balanced) {
+            const summary = order.map(player => `${PLAYER_COLORS[player]} ${counts[player]}`).join(', ');
+            errors.push(`Token counts don't fit players taking turns (${summary})`);
+        }
         
-        if (row === -1) {
-            return null;
+        const winners = players.filter(player => this.board.hasLine(player));
+        if (winners.length > 1) {
+            errors.push(`More than one player has a line (${winners.map(player => PLAYER_COLORS[player]).join(', ')})`);
         }
         
-        // Record move
-        const move = {
-            row,
-            col,
-            player: this.currentPlayer
-        };
-        this.moveHistory.push(move);
+        return { valid: errors.length === 0, errors };
+    }
+    
+    /**
+     * Count each player's tokens on the board
+     * @returns {Object} Map of player to token count
+     */
+    getTokenCounts() {
+        const counts = {};
+        for (const player of this.getPlayers()) {
+            counts[player] = 0;
+        }
         
-        // Notify that token was placed
-        if (this.onTokenPlaced) {
-            this.onTokenPlaced(move);
+        for (let row = 0; row < this.board.rows; row++) {
+            for (let col = 0; col < this.board.cols; col++) {
+                const cell = this.board.getCell(row, col);
+                if (cell !== EMPTY && counts[cell] !== undefined) {
+                    counts[cell]++;
+                }
+            }
         }
         
-        // Check for win
-        const winResult = checkWin(this.board, row, col, this.currentPlayer);
+        return counts;
+    }
+    
+    /**
+     * Work out whose turn it is from the token counts (the first player in turn order
+     * with fewer tokens than the first player, or the first player if everyone has the same)
+     * @returns {number} Player to move
+     */
+    getPlayerToMove() {
+        const counts = this.getTokenCounts();
+        const [first, ...others] = this.getTurnOrder();
+        return others.find(player => counts[player] < counts[first]) || first;
+    }
+    
+    /**
+     * Stop editing and play on from the position on the board
+     * @param {number} nextPlayer - Player to move (worked out from the token counts if omitted)
+     * @returns {Object} Result {valid, errors} (see validatePosition); the game stays in editing if invalid
+     */
+    finishEditing(nextPlayer = this.getPlayerToMove()) {
+        if (this.gameState !== GAME_STATE.EDITING) {
+            return { valid: false, errors: ['Not editing a position'] };
+        }
+        
+        const result = this.validatePosition();
+        if (!result.valid) {
+            return result;
+        }
+        
+        this.currentPlayer = nextPlayer;
+        this.positionCounts = new Map();
+        this.resetClocks();
+        this.powerUps = this.createPowerUps();
+        this.rotations = this.createRotations();
+        this.startPosition = this.createSnapshot(true);
+        this.startedAt = Date.now();
+        this.gameState = GAME_STATE.PLAYING;
+        
+        const [win] = findWins(this.board, this.getPlayers());
+        if (win) {
+            this.gameState = GAME_STATE.WIN;
+            this.winner = win.player;
+            this.winningPositions = win.positions;
+            this.winningLines = win.lines;
+            this.resultReason = RESULT_REASON.CONNECT;
+        } else if (this.isDraw()) {
+            this.gameState = GAME_STATE.DRAW;
+            this.resultReason = RESULT_REASON.BOARD_FULL;
+        } else if (this.isDeadPosition()) {
+            this.gameState = GAME_STATE.DRAW;
+            this.resultReason = RESULT_REASON.DEAD_POSITION;
+        }
+        
+        this.notifyStateChange();
         
+        return result;
+    }
+    
+    /**
+     * Resolve the outcome of a move that has been applied to the board
+     * @param {Object} move - The move that was made
+     * @param {Object|null} winResult - Win info {player, positions, lines} or null
+     * @param {boolean} extraTurn - Whether the same player moves again (x2 token)
+     * @returns {Object} The move
+     */
+    finishMove(move, winResult, extraTurn = false) {
+        // Check for win
         if (winResult) {
             this.gameState = GAME_STATE.WIN;
-            this.winner = this.currentPlayer;
+            this.winner = winResult.player;
             this.winningPositions = winResult.positions;
-            this.notifyStateChange();
+            this.winningLines = winResult.lines;
+            this.resultReason = RESULT_REASON.CONNECT;
+            this.reportMove(move);
             return move;
         }
         
+        // Switch players
+        if (!extraTurn) {
+            this.switchPlayer();
+        }
+        
+        this.recordPosition();
+        
         // Check for draw
-        if (this.board.isFull()) {
+        if (this.isDraw()) {
             this.gameState = GAME_STATE.DRAW;
-            this.notifyStateChange();
+            this.resultReason = RESULT_REASON.BOARD_FULL;
+            this.reportMove(move);
             return move;
         }
         
-        // Switch players
-        this.switchPlayer();
-        this.notifyStateChange();
+        if (this.isDeadPosition()) {
+            this.gameState = GAME_STATE.DRAW;
+            this.resultReason = RESULT_REASON.DEAD_POSITION;
+            this.reportMove(move);
+            return move;
+        }
+        
+        this.reportMove(move);
         
         return move;
     }
     
     /**
-     * Switch to the other player
+     * Tell listeners about a move whose outcome is settled
+     * @param {Object} move - The move that was made
+     */
+    reportMove(move) {
+        this.emit(GAME_EVENT.MOVE_MADE, {
+            move,
+            moveNumber: this.moveHistory.length,
+            state: this.getStateInfo()
+        });
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Check if a player may resign now (two-player games, while being played)
+     * @returns {boolean} True if resign() would end the game
+     */
+    canResign() {
+        return this.gameState === GAME_STATE.PLAYING && this.getPlayers().length === 2;
+    }
+    
+    /**
+     * Give up the game: the opponent wins
+     * @param {number} player - Player who resigns (the player to move if omitted)
+     * @returns {boolean} True if the game ended
+     */
+    resign(player = this.currentPlayer) {
+        const players = this.getPlayers();
+        if (!this.canResign() || !players.includes(player)) {
+            return false;
+        }
+        
+        this.gameState = GAME_STATE.WIN;
+        this.winner = players.find(p => p !== player);
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = RESULT_REASON.RESIGNATION;
+        this.drawOffer = null;
+        
+        this.notifyStateChange();
+        return true;
+    }
+    
+    /**
+     * Check if a draw can be offered now (two-player games, while being played, no offer pending)
+     * @returns {boolean} True if offerDraw() would make an offer
+     */
+    canOfferDraw() {
+        return this.canResign() && this.drawOffer === null;
+    }
+    
+    /**
+     * Offer the opponent a draw; it stands until acceptDraw() or declineDraw() (or the next move)
+     * @param {number} player - Player making the offer (the player to move if omitted)
+     * @returns {boolean} True if the offer was made
+     */
+    offerDraw(player = this.currentPlayer) {
+        if (!this.canOfferDraw() || !this.getPlayers().includes(player)) {
+            return false;
+        }
+        
+        this.drawOffer = player;
+        this.emit(GAME_EVENT.DRAW_OFFERED, { player, playerName: this.getPlayerName(player), state: this.getStateInfo() });
+        this.notifyStateChange();
+        return true;
+    }
+    
+    /**
+     * Accept the pending draw offer: the game is drawn by agreement
+     * @returns {boolean} True if the game ended
+     */
+    acceptDraw() {
+        if (this.drawOffer === null || this.gameState !== GAME_STATE.PLAYING) {
+            return false;
+        }
+        
+        this.gameState = GAME_STATE.DRAW;
+        this.winner = null;
+        this.winningPositions = null;
+        this.winningLines = null;
+        this.resultReason = RESULT_REASON.AGREEMENT;
+        this.drawOffer = null;
+        
+        this.notifyStateChange();
+        return true;
+    }
+    
+    /**
+     * Turn down the pending draw offer; play goes on
+     * @returns {boolean} True if there was an offer to decline
+     */
+    declineDraw() {
+        const player = this.drawOffer;
+        if (player === null) {
+            return false;
+        }
+        
+        this.drawOffer = null;
+        this.emit(GAME_EVENT.DRAW_DECLINED, { player, state: this.getStateInfo() });
+        this.notifyStateChange();
+        return true;
+    }
+    
+    /**
+     * Check whether the game is drawn, with the player to move already switched.
+     * In PopOut a full board isn't a draw while a pop is possible, so the game is drawn
+     * when the player to move has no move at all, or the same position comes up three times.
+     * In Power Up an unused anvil can still be played on a full board, and in Gravity Flip
+     * so can an unused board turn.
+     * @returns {boolean} True if the game is a draw
+     */
+    isDraw() {
+        if (usesPowerUps(this.rules) || allowsRotation(this.rules)) {
+            return this.getLegalMoves().length === 0;
+        }
+        
+        if (!allowsPop(this.rules)) {
+            return this.board.isFull();
+        }
+        
+        if (this.getLegalMoves().length === 0) {
+            return true;
+        }
+        
+        return (this.positionCounts.get(this.getPositionKey()) || 0) >= 3;
+    }
+    
+    /**
+     * Count the position just reached, with the player to move already switched (PopOut only,
+     * where a position can come up again). Called once per move, before checking for a draw.
+     */
+    recordPosition() {
+        if (!allowsPop(this.rules)) return;
+        
+        const key = this.getPositionKey();
+        this.positionCounts.set(key, (this.positionCounts.get(key) || 0) + 1);
+    }
+    
+    /**
+     * Get the key a position is counted under for repetitions
+     * @returns {string} The board together with the player to move
+     */
+    getPositionKey() {
+        return `${this.board.getKey()}:${this.currentPlayer}`;
+    }
+    
+    /**
+     * Check whether the game can be called a draw early (earlyDraw rule): nobody can
+     * complete a line any more, however the rest of the game is played.
+     * Not before the swap has been decided, since a swap changes whose tokens are whose.
+     * @returns {boolean} True if the game is a dead draw
+     */
+    isDeadPosition() {
+        return this.rules.earlyDraw && !this.canSwap() &&
+               isDeadPosition(this.board, this.getPlayers(), this.currentPlayer);
+    }
+    
+    /**
+     * Analyse the players' threats in the current position (see analyzeThreats in GameLogic),
+     * e.g. for hints or to look back over a finished game
+     * @returns {Object} Analysis {threats, stacked, zugzwang}
+     */
+    analyzeThreats() {
+        return analyzeThreats(this.board, this.getPlayers(), this.currentPlayer);
+    }
+    
+    /**
+     * Pass the turn to the next player in turn order
      */
     switchPlayer() {
-        this.currentPlayer = this.currentPlayer === PLAYER_1 ? PLAYER_2 : PLAYER_1;
+        const players = this.getPlayers();
+        const index = players.indexOf(this.currentPlayer);
+        this.currentPlayer = players[(index + 1) % players.length];
+    }
+    
+    /**
+     * Get the players in this game, in turn order
+     * @returns {number[]} Player numbers
+     */
+    getPlayers() {
+        return getPlayers(this.rules.players);
+    }
+    
+    /**
+     * Get the players in the order they move this game, starting with the first player
+     * @returns {number[]} Player numbers
+     */
+    getTurnOrder() {
+        const players = this.getPlayers();
+        const start = Math.max(0, players.indexOf(this.firstPlayer));
+        return [...players.slice(start), ...players.slice(0, start)];
+    }
+    
+    /**
+     * Choose which seats the CPU plays in CPU mode
+     * @param {number[]|null} players - CPU players, or null for every seat but Player 1
+     */
+    setCPUPlayers(players) {
+        this.cpuPlayers = players;
+    }
+    
+    /**
+     * Get the players the CPU is playing for
+     * @returns {number[]} CPU players (none outside CPU mode)
+     */
+    getCPUPlayers() {
+        if (this.gameMode !== GAME_MODE.CPU) {
+            return [];
+        }
+        
+        const players = this.getPlayers();
+        if (this.cpuPlayers) {
+            return this.cpuPlayers.filter(player => players.includes(player));
+        }
+        return players.filter(player => player !== PLAYER_1);
     }
     
     /**
      * Get the current player
-     * @returns {number} Current player (1 or 2)
+     * @returns {number} Current player (1-4)
      */
     getCurrentPlayer() {
         return this.currentPlayer;
@@ -145,12 +1587,12 @@ export class Game {
      * @returns {string} Player name
      */
     getPlayerName(player) {
-        if (player === PLAYER_1) {
-            return 'Player 1 (Red)';
-        } else if (player === PLAYER_2) {
-            return this.gameMode === GAME_MODE.CPU ? 'CPU (Yellow)' : 'Player 2 (Yellow)';
+        if (!PLAYER_COLORS[player]) {
+            return 'Unknown';
         }
-        return 'Unknown';
+        
+        const seat = this.getCPUPlayers().includes(player) ? 'CPU' : `Player ${player}`;
+        return `${seat} (${PLAYER_COLORS[player]})`;
     }
     
     /**
@@ -158,8 +1600,7 @@ export class Game {
      * @returns {boolean} True if CPU should move
      */
     isCPUTurn() {
-        return this.gameMode === GAME_MODE.CPU && 
-               this.currentPlayer === PLAYER_2 && 
+        return this.getCPUPlayers().includes(this.currentPlayer) &&
                this.gameState === GAME_STATE.PLAYING;
     }
     
@@ -171,13 +1612,120 @@ export class Game {
         return this.board.getValidMoves();
     }
     
+    /**
+     * Get every legal move for the current player, including pops in PopOut,
+     * remaining special tokens in Power Up, board turns in Gravity Flip and a swap (col -1)
+     * @returns {Object[]} Array of moves {type, col, row?}
+     */
+    getLegalMoves() {
+        const moves = this.board.getValidMoves().map(col => ({ type: MOVE_TYPE.DROP, col }));
+        
+        if (allowsPop(this.rules)) {
+            for (let col = 0; col < this.board.cols; col++) {
+                if (this.board.canPop(col, this.currentPlayer)) {
+                    moves.push({ type: MOVE_TYPE.POP, col });
+                }
+            }
+        }
+        
+        if (usesPowerUps(this.rules)) {
+            for (const type of Object.keys(this.powerUps[this.currentPlayer])) {
+                if (!this.hasPowerUp(this.currentPlayer, type)) continue;
+                
+                for (let col = 0; col < this.board.cols; col++) {
+                    if (type !== MOVE_TYPE.BOMB) {
+                        if (this.isValidMove(col, type)) {
+                            moves.push({ type, col });
+                        }
+                        continue;
+                    }
+                    
+                    for (let row = 0; row < this.board.rows; row++) {
+                        if (this.isValidMove(col, type, { row })) {
+                            moves.push({ type, col, row });
+                        }
+                    }
+                }
+            }
+        }
+        
+        if (allowsRotation(this.rules) && this.hasRotation(this.currentPlayer)) {
+            for (const type of ROTATIONS) {
+                moves.push({ type, col: -1 });
+            }
+        }
+        
+        if (this.canSwap()) {
+            moves.push({ type: MOVE_TYPE.SWAP, col: -1 });
+        }
+        
+        return moves;
+    }
+    
     /**
      * Check if a column is a valid move
-     * @param {number} col - Column index
+     * @param {number} col - Column index (ignored for board turns and swaps)
+     * @param {string} type - Move type (see MOVE_TYPE)
+     * @param {Object} options - Extra move options
+     * @param {number} options.row - Target row (bomb only); any opponent token in the column if omitted
      * @returns {boolean} True if column is valid
      */
-    isValidMove(col) {
-        return this.gameState === GAME_STATE.PLAYING && !this.board.isColumnFull(col);
+    isValidMove(col, type = MOVE_TYPE.DROP, options = {}) {
+        if (this.gameState !== GAME_STATE.PLAYING) {
+            return false;
+        }
+        
+        if (isRotation(type)) {
+            return allowsRotation(this.rules) && this.hasRotation(this.currentPlayer);
+        }
+        
+        if (type === MOVE_TYPE.SWAP) {
+            return this.canSwap();
+        }
+        
+        if (col < 0 || col >= this.board.cols) {
+            return false;
+        }
+        
+        if (type === MOVE_TYPE.POP) {
+            return allowsPop(this.rules) && this.board.canPop(col, this.currentPlayer);
+        }
+        
+        if (isPowerUp(type)) {
+            if (!this.hasPowerUp(this.currentPlayer, type)) {
+                return false;
+            }
+            
+            // The anvil clears its column, so even a full column is fine
+            if (type === MOVE_TYPE.ANVIL) {
+                return true;
+            }
+            
+            if (type === MOVE_TYPE.BOMB) {
+                const isOpponentToken = (row) => {
+                    const cell = this.board.getCell(row, col);
+                    return cell !== null && cell !== EMPTY && cell !== this.currentPlayer;
+                };
+                
+                if (options.row !== undefined) {
+                    return isOpponentToken(options.row);
+                }
+                for (let row = 0; row < this.board.rows; row++) {
+                    if (isOpponentToken(row)) return true;
+                }
+                return false;
+            }
+        }
+        
+        return !this.board.isColumnFull(col);
+    }
+    
+    /**
+     * Get the kinds of the winning lines (see WIN_KIND), each kind once
+     * @returns {string[]} Win kinds, empty if no line was made
+     */
+    getWinKinds() {
+        return this.winningLines ? [...new Set(this.winningLines.map(line => line.kind))] : [];
     }
     
     /**
@@ -189,32 +1737,93 @@ export class Game {
             state: this.gameState,
             currentPlayer: this.currentPlayer,
             currentPlayerName: this.getPlayerName(this.currentPlayer),
+            firstPlayer: this.firstPlayer,
+            opening: this.opening,
+            canSwap: this.canSwap(),
             winner: this.winner,
             winnerName: this.winner ? this.getPlayerName(this.winner) : null,
             winningPositions: this.winningPositions,
+            winningLines: this.winningLines,
+            winKinds: this.getWinKinds(),
+            resultReason: this.resultReason,
+            drawOffer: this.drawOffer,
+            canResign: this.canResign(),
+            canOfferDraw: this.canOfferDraw(),
             moveCount: this.moveHistory.length,
-            gameMode: this.gameMode
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            gameMode: this.gameMode,
+            rules: this.rules,
+            players: this.getPlayers(),
+            cpuPlayers: this.getCPUPlayers(),
+            powerUps: this.powerUps,
+            rotations: this.rotations,
+            clocks: this.getClockTimes(),
+            timedOutPlayer: this.timedOutPlayer,
+            timedOutName: this.timedOutPlayer ? this.getPlayerName(this.timedOutPlayer) : null,
+            replay: this.replay ? { index: this.replay.index, length: this.moveHistory.length } : null
         };
     }
     
     /**
-     * Notify listeners of state change
+     * Notify listeners of state change, and of the new turn or the end of the game it brings
      */
     notifyStateChange() {
-        if (this.onStateChange) {
-            this.onStateChange(this.getStateInfo());
+        // Redo reports once, after the last replayed move
+        if (this.replaying) {
+            return;
+        }
+        
+        this.syncClock();
+        
+        const state = this.getStateInfo();
+        const previousPlayer = this.reported.player;
+        // A replay is still the finished game, so its result isn't reported again
+        const over = state.state === GAME_STATE.WIN || state.state === GAME_STATE.DRAW ||
+                     state.state === GAME_STATE.TIMEOUT || state.state === GAME_STATE.REPLAY;
+        const turnChanged = state.state === GAME_STATE.PLAYING && state.currentPlayer !== previousPlayer;
+        const gameOver = over && !this.reported.over;
+        
+        // Update first, so a listener that changes the game again sees where things stand
+        if (turnChanged) this.reported.player = state.currentPlayer;
+        this.reported.over = over;
+        
+        if (turnChanged) {
+            this.emit(GAME_EVENT.TURN_CHANGED, {
+                player: state.currentPlayer,
+                playerName: state.currentPlayerName,
+                previousPlayer,
+                state
+            });
         }
+        if (gameOver) {
+            this.emit(GAME_EVENT.GAME_OVER, {
+                result: state.state,
+                reason: state.resultReason,
+                winner: state.winner,
+                winnerName: state.winnerName,
+                winningPositions: state.winningPositions,
+                winningLines: state.winningLines,
+                timedOutPlayer: state.timedOutPlayer,
+                moveCount: state.moveCount,
+                state
+            });
+        }
+        this.emit(GAME_EVENT.STATE_CHANGE, state);
     }
     
     /**
-     * Set animation state (prevents moves during animation)
+     * Set animation state (prevents moves and stops the clock during animation).
+     * Listeners are told when play resumes.
      * @param {boolean} animating - Whether animation is in progress
      */
     setAnimating(animating) {
         if (animating && this.gameState === GAME_STATE.PLAYING) {
             this.gameState = GAME_STATE.ANIMATING;
+            this.syncClock();
         } else if (!animating && this.gameState === GAME_STATE.ANIMATING) {
             this.gameState = GAME_STATE.PLAYING;
+            this.notifyStateChange();
         }
     }
 }
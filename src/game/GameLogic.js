@@ -3,37 +3,161 @@
  * Handles win detection and game rules
  */
 
-import { ROWS, COLS, EMPTY } from './Board.js';
+import { EMPTY, DIRECTIONS } from './Board.js';
+import { Board3D, DIRECTIONS_3D, toPeg } from './Board3D.js';
 
-// Directions to check for wins: [deltaRow, deltaCol]
-const DIRECTIONS = [
-    [0, 1],   // Horizontal (right)
-    [1, 0],   // Vertical (up)
-    [1, 1],   // Diagonal up-right
-    [1, -1]   // Diagonal up-left
-];
+// Kinds of winning line, by the way the line runs (see getLineKind)
+export const WIN_KIND = {
+    HORIZONTAL: 'horizontal', // Along a row (along x or z on one level of a 3D board)
+    VERTICAL: 'vertical',     // Up a column or peg
+    DIAGONAL: 'diagonal'      // Any slant, including across a level or through space on a 3D board
+};
+
+// Row parity of a threat, counting rows from 1 at the bottom (see findThreats)
+export const THREAT_PARITY = {
+    ODD: 'odd',   // Rows 1, 3, 5...: the first player's zugzwang squares on an even-height board
+    EVEN: 'even'  // Rows 2, 4, 6...: the second player's
+};
+
+// Cache of window positions, keyed by board shape and win length
+const windowCache = new Map();
+
+// Cache of window cell bit indices, keyed like windowCache
+const windowIndexCache = new Map();
+
+// Cache of per-cell line counts, keyed like windowCache
+const lineCountCache = new Map();
 
 /**
- * Check if there's a winner after a move
+ * Check if there's a winner after a move. A move can complete lines in several directions
+ * at once, and a line can run longer than the win length; every line is reported in full.
  * @param {Board} board - The game board
  * @param {number} row - Row of last placed token
  * @param {number} col - Column of last placed token
  * @param {number} player - Player who placed the token
- * @returns {Object|null} Win info {player, positions} or null if no win
+ * @returns {Object|null} Win info {player, positions, lines} or null if no win
+ * (positions: every cell of every line; lines: {positions, kind} per line, see WIN_KIND)
  */
 export function checkWin(board, row, col, player) {
-    for (const [dRow, dCol] of DIRECTIONS) {
-        const positions = getConnectedPositions(board, row, col, dRow, dCol, player);
+    // A wall token can't be part of a line
+    if (board.getLineCell(row, col) !== player) {
+        return null;
+    }
+    
+    const lines = [];
+    for (const direction of getDirections(board)) {
+        const positions = getConnectedPositions(board, row, col, direction, player);
         
-        if (positions.length >= 4) {
-            return {
-                player,
-                positions: positions.slice(0, 4) // Return exactly 4 winning positions
-            };
+        if (positions.length >= board.winLength) {
+            lines.push({ positions, kind: getLineKind(direction) });
+        }
+    }
+    
+    return lines.length > 0 ? createWin(player, lines) : null;
+}
+
+/**
+ * Check every token in a column for a win after the column shifted (a PopOut pop or a bomb).
+ * A shift can complete lines for both players at once; the player who moved wins then.
+ * @param {Board} board - The game board
+ * @param {number} col - Column that shifted
+ * @param {number} mover - Player who made the move
+ * @returns {Object|null} Win info {player, positions, lines} (all of the winner's lines) or null if no win
+ */
+export function checkWinInColumn(board, col, mover) {
+    const wins = [];
+    
+    for (let row = 0; row < board.rows; row++) {
+        const cell = board.getCell(row, col);
+        if (cell === EMPTY) continue;
+        
+        const win = checkWin(board, row, col, cell);
+        if (win) wins.push(win);
+    }
+    
+    if (wins.length === 0) {
+        return null;
+    }
+    
+    // The mover wins if any of the lines is theirs, otherwise the first opponent found with one
+    const winner = wins.some(win => win.player === mover) ? mover : wins[0].player;
+    return mergeWins(wins.filter(win => win.player === winner));
+}
+
+/**
+ * Find every player's line after a move that moved many tokens at once (a board turn).
+ * More than one player can end up with a line.
+ * @param {Board} board - The game board
+ * @param {number[]} players - Players to check, in turn order
+ * @returns {Object[]} Win info {player, positions, lines} for each player with a line, in turn order
+ */
+export function findWins(board, players) {
+    const wins = [];
+    
+    for (const player of players) {
+        if (!board.hasLine(player)) continue;
+        
+        const playerWins = [];
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.cols; col++) {
+                const win = checkWin(board, row, col, player);
+                if (win) playerWins.push(win);
+            }
+        }
+        if (playerWins.length > 0) wins.push(mergeWins(playerWins));
+    }
+    
+    return wins;
+}
+
+/**
+ * Build win info from a player's lines
+ * @param {number} player - Player with the lines
+ * @param {Object[]} lines - Lines {positions, kind}
+ * @returns {Object} Win info {player, positions, lines}, positions listing each cell once
+ */
+function createWin(player, lines) {
+    const cells = new Map();
+    for (const line of lines) {
+        for (const [row, col] of line.positions) {
+            cells.set(`${row},${col}`, [row, col]);
+        }
+    }
+    
+    return { player, positions: [...cells.values()], lines };
+}
+
+/**
+ * Combine one player's wins found from different cells, dropping lines found more than once
+ * @param {Object[]} wins - Win info {player, positions, lines}, all for the same player
+ * @returns {Object} Win info {player, positions, lines}
+ */
+function mergeWins(wins) {
+    const lines = new Map();
+    for (const win of wins) {
+        for (const line of win.lines) {
+            // Order the cells for the key: a line round a cylinder can be found starting from any of them
+            const key = line.positions.map(([row, col]) => `${row},${col}`).sort().join(' ');
+            if (!lines.has(key)) lines.set(key, line);
         }
     }
     
-    return null;
+    return createWin(wins[0].player, [...lines.values()]);
+}
+
+/**
+ * Get the kind of line that runs in a direction
+ * @param {number[]} direction - Direction (see DIRECTIONS and DIRECTIONS_3D); the first step is up
+ * @returns {string} Line kind (see WIN_KIND)
+ */
+export function getLineKind(direction) {
+    const [up, ...across] = direction;
+    const acrossSteps = across.filter(step => step !== 0).length;
+    
+    if (acrossSteps === 0) {
+        return WIN_KIND.VERTICAL;
+    }
+    return up === 0 && acrossSteps === 1 ? WIN_KIND.HORIZONTAL : WIN_KIND.DIAGONAL;
 }
 
 /**
@@ -41,43 +165,181 @@ export function checkWin(board, row, col, player) {
  * @param {Board} board - The game board
  * @param {number} row - Starting row
  * @param {number} col - Starting column
- * @param {number} dRow - Row direction
- * @param {number} dCol - Column direction
+ * @param {number[]} direction - Direction (see DIRECTIONS and DIRECTIONS_3D)
  * @param {number} player - Player to check for
  * @returns {Array} Array of [row, col] positions
  */
-function getConnectedPositions(board, row, col, dRow, dCol, player) {
+function getConnectedPositions(board, row, col, direction, player) {
     const positions = [[row, col]];
     
+    // On a cylinder a full row of one color would go round forever
+    const maxLength = getMaxLineLength(board, direction);
+    
     // Check in positive direction
-    let r = row + dRow;
-    let c = col + dCol;
-    while (isValidPosition(r, c) && board.getCell(r, c) === player) {
-        positions.push([r, c]);
-        r += dRow;
-        c += dCol;
+    for (let steps = 1; positions.length < maxLength; steps++) {
+        const position = stepPosition(board, row, col, direction, steps);
+        if (!position || board.getLineCell(position[0], position[1]) !== player) break;
+        positions.push(position);
     }
     
     // Check in negative direction
-    r = row - dRow;
-    c = col - dCol;
-    while (isValidPosition(r, c) && board.getCell(r, c) === player) {
-        positions.unshift([r, c]); // Add to beginning
-        r -= dRow;
-        c -= dCol;
+    for (let steps = -1; positions.length < maxLength; steps--) {
+        const position = stepPosition(board, row, col, direction, steps);
+        if (!position || board.getLineCell(position[0], position[1]) !== player) break;
+        positions.unshift(position); // Add to beginning
     }
     
     return positions;
 }
 
+/**
+ * Get the line directions for a board (4 on a flat board, 13 on a 3D board)
+ * @param {Board} board - The game board
+ * @returns {Array} Array of directions
+ */
+function getDirections(board) {
+    return board instanceof Board3D ? DIRECTIONS_3D : DIRECTIONS;
+}
+
+/**
+ * Get the number of distinct cells a line can hold in a direction
+ * (only limited by the board edges, except for lines going round a cylinder)
+ * @param {Board} board - The game board
+ * @param {number[]} direction - Direction (see DIRECTIONS and DIRECTIONS_3D)
+ * @returns {number} Maximum line length
+ */
+function getMaxLineLength(board, direction) {
+    return board.wrap && direction[1] !== 0 ? board.cols : Infinity;
+}
+
+/**
+ * Get the cell a number of steps away from a cell along a direction
+ * @param {Board} board - The game board
+ * @param {number} row - Starting row
+ * @param {number} col - Starting column (a peg index on a 3D board)
+ * @param {number[]} direction - Direction (see DIRECTIONS and DIRECTIONS_3D)
+ * @param {number} steps - Steps to take (negative to go backwards)
+ * @returns {Array|null} [row, col] position, or null if it's off the board
+ * (on a cylinder, columns wrap from the last to the first)
+ */
+function stepPosition(board, row, col, direction, steps) {
+    if (board instanceof Board3D) {
+        const [dLevel, dX, dZ] = direction;
+        const { x, z } = board.pegToXZ(col);
+        const level = row + dLevel * steps;
+        const pegX = x + dX * steps;
+        const pegZ = z + dZ * steps;
+        
+        if (level < 0 || level >= board.rows || pegX < 0 || pegX >= board.width || pegZ < 0 || pegZ >= board.depth) {
+            return null;
+        }
+        return [level, toPeg(pegX, pegZ, board.width)];
+    }
+    
+    const [dRow, dCol] = direction;
+    const r = row + dRow * steps;
+    let c = col + dCol * steps;
+    if (board.wrap) {
+        c = ((c % board.cols) + board.cols) % board.cols;
+    }
+    return isValidPosition(board, r, c) ? [r, c] : null;
+}
+
 /**
  * Check if a position is within board bounds
+ * @param {Board} board - The game board
  * @param {number} row - Row index
  * @param {number} col - Column index
  * @returns {boolean} True if valid position
  */
-function isValidPosition(row, col) {
-    return row >= 0 && row < ROWS && col >= 0 && col < COLS;
+function isValidPosition(board, row, col) {
+    return row >= 0 && row < board.rows && col >= 0 && col < board.cols;
+}
+
+/**
+ * Get the cache key for a board's shape, win length and wrapping
+ * @param {Board} board - The game board
+ * @returns {string} Cache key
+ */
+function getCacheKey(board) {
+    const shape = board instanceof Board3D ? '3d' : board.wrap ? 'cylinder' : 'flat';
+    return `${shape}:${board.rows}x${board.cols}x${board.winLength}`;
+}
+
+/**
+ * Get every line of winLength cells on the board (used for AI evaluation)
+ * @param {Board} board - The game board
+ * @returns {Array} Array of windows, each an array of [row, col] positions
+ */
+export function getWindows(board) {
+    const key = getCacheKey(board);
+    if (windowCache.has(key)) {
+        return windowCache.get(key);
+    }
+    
+    const windows = [];
+    const length = board.winLength;
+    
+    for (const direction of getDirections(board)) {
+        // A window can't go round a cylinder onto itself
+        if (length > getMaxLineLength(board, direction)) continue;
+        
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.cols; col++) {
+                // Skip windows that would run off the board
+                if (!stepPosition(board, row, col, direction, length - 1)) continue;
+                
+                const window = [];
+                for (let i = 0; i < length; i++) {
+                    window.push(stepPosition(board, row, col, direction, i));
+                }
+                windows.push(window);
+            }
+        }
+    }
+    
+    windowCache.set(key, windows);
+    return windows;
+}
+
+/**
+ * Get every line of winLength cells on the board as bit indices (see Board.bitIndex),
+ * for reading cells straight off the board in the AI's evaluation
+ * @param {Board} board - The game board
+ * @returns {Array} Array of windows, each an array of bit indices
+ */
+export function getWindowIndices(board) {
+    const key = getCacheKey(board);
+    if (windowIndexCache.has(key)) {
+        return windowIndexCache.get(key);
+    }
+    
+    const windows = getWindows(board).map(window => window.map(([row, col]) => board.bitIndex(row, col)));
+    
+    windowIndexCache.set(key, windows);
+    return windows;
+}
+
+/**
+ * Count how many winning lines pass through each cell (used for AI move ordering)
+ * @param {Board} board - The game board
+ * @returns {number[][]} Line counts indexed [row][col]
+ */
+export function getLineCounts(board) {
+    const key = getCacheKey(board);
+    if (lineCountCache.has(key)) {
+        return lineCountCache.get(key);
+    }
+    
+    const counts = Array.from({ length: board.rows }, () => new Array(board.cols).fill(0));
+    for (const window of getWindows(board)) {
+        for (const [row, col] of window) {
+            counts[row][col]++;
+        }
+    }
+    
+    lineCountCache.set(key, counts);
+    return counts;
 }
 
 /**
@@ -91,19 +353,204 @@ function isValidPosition(row, col) {
  * @returns {number} Count of consecutive tokens
  */
 export function countInDirection(board, row, col, dRow, dCol, player) {
+    const direction = [dRow, dCol];
+    const maxLength = getMaxLineLength(board, direction);
     let count = 0;
-    let r = row;
-    let c = col;
     
-    while (isValidPosition(r, c) && board.getCell(r, c) === player) {
+    while (count < maxLength) {
+        const position = stepPosition(board, row, col, direction, count);
+        if (!position || board.getLineCell(position[0], position[1]) !== player) break;
         count++;
-        r += dRow;
-        c += dCol;
     }
     
     return count;
 }
 
+/**
+ * Count the cells left to fill (tokens land on the lowest empty cell, so nothing floats above a gap)
+ * @param {Board} board - The game board
+ * @returns {number} Empty cells
+ */
+function countEmptyCells(board) {
+    let emptyCells = 0;
+    for (let col = 0; col < board.cols; col++) {
+        const row = board.findLowestRow(col);
+        if (row !== -1) emptyCells += board.rows - row;
+    }
+    return emptyCells;
+}
+
+/**
+ * Check if nobody can connect any more, so the game can be called a draw before the board fills.
+ * Every window of winLength cells must be blocked for every player: it holds another player's
+ * token (or a wall), or it needs more tokens than the player will get to drop before the board
+ * is full. Counting the moves each player has left looks ahead to the end of the game without
+ * searching it. Only holds when tokens stay where they land (no pops, special tokens or board turns).
+ * @param {Board} board - The game board
+ * @param {number[]} players - Players in turn order
+ * @param {number} toMove - Player to move
+ * @returns {boolean} True if no player can complete a line
+ */
+export function isDeadPosition(board, players, toMove) {
+    const emptyCells = countEmptyCells(board);
+    
+    // Tokens each player can still drop, taking turns from the player to move
+    const movesLeft = new Map();
+    const start = players.indexOf(toMove);
+    players.forEach((player, i) => {
+        const turn = (i - start + players.length) % players.length;
+        movesLeft.set(player, Math.max(0, Math.ceil((emptyCells - turn) / players.length)));
+    });
+    
+    for (const window of getWindows(board)) {
+        let owner = EMPTY;
+        let needed = 0;
+        let blocked = false;
+        
+        for (const [row, col] of window) {
+            const cell = board.getLineCell(row, col);
+            if (cell === EMPTY) {
+                needed++;
+            } else if (owner === EMPTY) {
+                owner = cell;
+            } else if (cell !== owner) {
+                blocked = true;
+                break;
+            }
+        }
+        // A wall can't be part of a line
+        if (blocked || (owner !== EMPTY && !movesLeft.has(owner))) continue;
+        
+        // An empty window is open to anyone
+        const candidates = owner === EMPTY ? players : [owner];
+        if (candidates.some(player => movesLeft.get(player) >= needed)) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Find a player's threats: empty cells that would complete a line if the player had a token there,
+ * whether or not a token can be dropped there yet
+ * @param {Board} board - The game board
+ * @param {number} player - Player to check
+ * @returns {Object[]} Threats {row, col, player, parity, playable}, lowest first; parity is a
+ * THREAT_PARITY, and playable means a token dropped in the column lands on the threat now
+ */
+export function findThreats(board, player) {
+    const threats = new Map();
+    
+    for (const window of getWindows(board)) {
+        let gap = null;
+        let open = true;
+        
+        for (const [row, col] of window) {
+            const cell = board.getLineCell(row, col);
+            if (cell === player) continue;
+            if (cell !== EMPTY || gap) {
+                open = false;
+                break;
+            }
+            gap = [row, col];
+        }
+        if (!open || !gap) continue;
+        
+        const [row, col] = gap;
+        const key = board.bitIndex(row, col);
+        if (!threats.has(key)) {
+            threats.set(key, {
+                row,
+                col,
+                player,
+                parity: row % 2 === 0 ? THREAT_PARITY.ODD : THREAT_PARITY.EVEN,
+                playable: board.findLowestRow(col) === row
+            });
+        }
+    }
+    
+    return [...threats.values()].sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+/**
+ * Analyse every player's threats (see findThreats):
+ * - double threat: two threats the opponents can't both stop, i.e. playable threats in two columns,
+ *   or a playable threat with another of the same player's threats directly above it
+ * - stacked threats: one threat directly above another (the same or different players)
+ * - zugzwang (two players, even-height boards): who wins if the rest of the board is filled
+ *   column by column, after the simplified rules from Allis's analysis of Connect 4. The player who
+ *   moves with an even number of empty cells (the first player from an empty board) gets the odd rows:
+ *   an odd threat with no even threat of the opponent below it in its column wins for them; otherwise
+ *   the other player can follow up on top of every move, and wins with an even threat.
+ * @param {Board} board - The game board
+ * @param {number[]} players - Players in turn order
+ * @param {number} toMove - Player to move
+ * @returns {Object} Analysis {threats, stacked, zugzwang}: threats maps each player to
+ * {threats, playable, doubleThreat}; stacked lists {lower, upper} threat pairs; zugzwang is
+ * {player, threat} (the player who controls it and the threat it wins with) or null
+ */
+export function analyzeThreats(board, players, toMove) {
+    const threats = {};
+    const allThreats = [];
+    for (const player of players) {
+        const found = findThreats(board, player);
+        threats[player] = { threats: found, playable: found.filter(threat => threat.playable), doubleThreat: false };
+        allThreats.push(...found);
+    }
+    
+    const stacked = [];
+    for (const lower of allThreats) {
+        for (const upper of allThreats) {
+            if (upper.col === lower.col && upper.row === lower.row + 1) {
+                stacked.push({ lower, upper });
+            }
+        }
+    }
+    
+    for (const player of players) {
+        const { playable } = threats[player];
+        const columns = new Set(playable.map(threat => threat.col));
+        const playableStack = stacked.some(({ lower, upper }) =>
+            lower.player === player && upper.player === player && lower.playable);
+        threats[player].doubleThreat = columns.size >= 2 || playableStack;
+    }
+    
+    return { threats, stacked, zugzwang: findZugzwang(board, players, toMove, threats) };
+}
+
+/**
+ * Work out who controls zugzwang (see analyzeThreats)
+ * @param {Board} board - The game board
+ * @param {number[]} players - Players in turn order
+ * @param {number} toMove - Player to move
+ * @param {Object} threats - Each player's threats, as built by analyzeThreats
+ * @returns {Object|null} {player, threat}, or null if nobody wins the fill-up (or the rules don't apply)
+ */
+function findZugzwang(board, players, toMove, threats) {
+    if (players.length !== 2 || board.rows % 2 !== 0) {
+        return null;
+    }
+    
+    const emptyCells = countEmptyCells(board);
+    
+    const other = players.find(player => player !== toMove);
+    const oddPlayer = emptyCells % 2 === 0 ? toMove : other;
+    const evenPlayer = oddPlayer === toMove ? other : toMove;
+    
+    const oddThreats = threats[oddPlayer].threats.filter(threat => threat.parity === THREAT_PARITY.ODD);
+    const evenThreats = threats[evenPlayer].threats.filter(threat => threat.parity === THREAT_PARITY.EVEN);
+    
+    for (const threat of oddThreats) {
+        const blocked = evenThreats.some(even => even.col === threat.col && even.row < threat.row);
+        if (!blocked) {
+            return { player: oddPlayer, threat };
+        }
+    }
+    
+    return evenThreats.length > 0 ? { player: evenPlayer, threat: evenThreats[0] } : null;
+}
+
 /**
  * Check if a move would result in immediate win
  * @param {Board} board - The game board
@@ -133,7 +580,7 @@ export function isWinningMove(board, col, player) {
 export function getWinningMoves(board, player) {
     const winningMoves = [];
     
-    for (let col = 0; col < COLS; col++) {
+    for (let col = 0; col < board.cols; col++) {
         if (!board.isColumnFull(col) && isWinningMove(board, col, player)) {
             winningMoves.push(col);
         }
@@ -144,6 +591,15 @@ export function getWinningMoves(board, player) {
 
 export default {
     checkWin,
+    checkWinInColumn,
+    findWins,
+    getLineKind,
+    isDeadPosition,
+    findThreats,
+    analyzeThreats,
+    getWindows,
+    getWindowIndices,
+    getLineCounts,
     countInDirection,
     isWinningMove,
     getWinningMoves
@@ -0,0 +1,384 @@
+/**
+ * Game records for Connect 4
+ * Saves a game as JSON (rules, players, result, and every move with its time and an
+ * optional comment) and plays a record back into a Game, so notable games can be
+ * archived and shared
+ */
+
+import { EMPTY, BOARD_SIZES, MIN_PLAYERS, MAX_PLAYERS } from './Board.js';
+import { createRules, createBoard, VARIANT, MOVE_TYPE, WIN_LENGTHS } from './Rules.js';
+import { Game, GAME_STATE, GAME_MODE, RESULT_REASON } from './Game.js';
+import { DIFFICULTY } from './AI.js';
+import { WIN_KIND } from './GameLogic.js';
+
+// Marks a JSON file as a Line4UP game record
+export const RECORD_FORMAT = 'line4up-game';
+
+// Version of the record layout written by createRecord
+export const RECORD_VERSION = 1;
+
+// Results a record can hold ('playing' = saved before the game was over)
+export const RECORD_RESULTS = [GAME_STATE.PLAYING, GAME_STATE.WIN, GAME_STATE.DRAW, GAME_STATE.TIMEOUT];
+
+// Rule options a record keeps (see createRules)
+const RULE_OPTIONS = ['size', 'winLength', 'variant', 'wrap', 'players', 'swap', 'openings', 'earlyDraw'];
+
+/**
+ * Write a game as a record. Columns and rows are 0-based, as in the game's move objects.
+ * @param {Game} game - Game to save (a replay being watched saves the whole game)
+ * @param {Object} options - Details the game doesn't know
+ * @param {string|null} options.difficulty - CPU difficulty (see DIFFICULTY), or null without a CPU
+ * @param {Date} options.savedAt - Time of saving
+ * @returns {Object} Record, ready for JSON.stringify
+ */
+export function createRecord(game, { difficulty = null, savedAt = new Date() } = {}) {
+    const cpuPlayers = game.getCPUPlayers();
+    const rules = {};
+    for (const option of RULE_OPTIONS) {
+        rules[option] = game.rules[option];
+    }
+    
+    const state = game.replay ? game.replay.state : game.gameState;
+    
+    return {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        rules,
+        mode: game.gameMode,
+        difficulty: cpuPlayers.length > 0 ? difficulty : null,
+        timeControl: game.timeControl ? { ...game.timeControl } : null,
+        players: game.getPlayers().map(player => ({
+            player,
+            name: game.getPlayerName(player),
+            cpu: cpuPlayers.includes(player)
+        })),
+        firstPlayer: game.firstPlayer,
+        opening: game.opening,
+        start: describeStart(game),
+        date: {
+            started: game.startedAt ? new Date(game.startedAt).toISOString() : null,
+            saved: savedAt.toISOString()
+        },
+        result: {
+            state: RECORD_RESULTS.includes(state) ? state : GAME_STATE.PLAYING,
+            reason: game.resultReason,
+            winner: game.winner,
+            kinds: game.getWinKinds(),
+            timedOutPlayer: game.timedOutPlayer
+        },
+        moves: game.moveHistory.map(move => {
+            const entry = { type: move.type, col: move.col, row: move.row, player: move.player };
+            if (move.time) entry.time = new Date(move.time).toISOString();
+            if (move.comment) entry.comment = move.comment;
+            return entry;
+        })
+    };
+}
+
+/**
+ * Describe the position a game started from, if it isn't the variant's usual start
+ * (a position set up in the editor)
+ * @param {Game} game - Game to describe
+ * @returns {Object|null} Start {cells (rows of cell values, bottom row first), toMove}, or null
+ */
+function describeStart(game) {
+    const { board, currentPlayer } = game.startPosition;
+    if (board.getKey() === createBoard(game.rules).getKey() && currentPlayer === game.firstPlayer) {
+        return null;
+    }
+    
+    const cells = [];
+    for (let row = 0; row < board.rows; row++) {
+        const cols = [];
+        for (let col = 0; col < board.cols; col++) {
+            cols.push(board.getCell(row, col));
+        }
+        cells.push(cols);
+    }
+    return { cells, toMove: currentPlayer };
+}
+
+/**
+ * Check that a value has the layout of a game record. Whether the moves are legal
+ * is checked when the record is played back (see replayRecord).
+ * @param {*} data - Parsed JSON
+ * @returns {Object} Result {valid, errors}
+ */
+export function validateRecord(data) {
+    if (!isObject(data)) {
+        return { valid: false, errors: ['The file is not a game record (expected a JSON object)'] };
+    }
+    if (data.format !== RECORD_FORMAT) {
+        return { valid: false, errors: [`The file is not a game record ("format" should be "${RECORD_FORMAT}")`] };
+    }
+    if (data.version !== RECORD_VERSION) {
+        return { valid: false, errors: [`Unsupported record version ${JSON.stringify(data.version)} (expected ${RECORD_VERSION})`] };
+    }
+    
+    const errors = [];
+    const rules = data.rules;
+    let players = MIN_PLAYERS;
+    
+    if (!isObject(rules)) {
+        errors.push('"rules" is missing');
+    } else {
+        const knownVariant = Object.values(VARIANT).includes(rules.variant);
+        if (!knownVariant) {
+            errors.push(`rules.variant: unknown variant ${JSON.stringify(rules.variant)}`);
+        }
+        
+        // Variants with a board of their own (Score Four's pegs) use a size outside BOARD_SIZES
+        const variantSize = knownVariant ? createRules({ variant: rules.variant }).size : null;
+        if (!BOARD_SIZES[rules.size] && rules.size !== variantSize) {
+            errors.push(`rules.size: unknown board size ${JSON.stringify(rules.size)}`);
+        }
+        if (!WIN_LENGTHS.includes(rules.winLength)) {
+            errors.push(`rules.winLength: must be one of ${WIN_LENGTHS.join(', ')}`);
+        }
+        if (!isInteger(rules.players, MIN_PLAYERS, MAX_PLAYERS)) {
+            errors.push(`rules.players: must be a whole number from ${MIN_PLAYERS} to ${MAX_PLAYERS}`);
+        } else {
+            players = rules.players;
+        }
+        for (const option of ['wrap', 'swap', 'openings', 'earlyDraw']) {
+            if (rules[option] !== undefined && typeof rules[option] !== 'boolean') {
+                errors.push(`rules.${option}: must be true or false`);
+            }
+        }
+    }
+    
+    if (!Object.values(GAME_MODE).includes(data.mode)) {
+        errors.push(`mode: must be "${GAME_MODE.PVP}" or "${GAME_MODE.CPU}"`);
+    }
+    if (data.difficulty !== null && data.difficulty !== undefined && !Object.values(DIFFICULTY).includes(data.difficulty)) {
+        errors.push(`difficulty: unknown difficulty ${JSON.stringify(data.difficulty)}`);
+    }
+    if (data.timeControl !== null && data.timeControl !== undefined &&
+        !(isObject(data.timeControl) && data.timeControl.base > 0 && data.timeControl.increment >= 0)) {
+        errors.push('timeControl: must be null or {base, increment} in ms');
+    }
+    
+    if (!Array.isArray(data.players)) {
+        errors.push('"players" is missing');
+    } else {
+        data.players.forEach((entry, i) => {
+            if (!isObject(entry) || !isInteger(entry.player, 1, players) || typeof entry.cpu !== 'boolean') {
+                errors.push(`players[${i}]: must be {player, name, cpu} for a player in the game`);
+            }
+        });
+    }
+    
+    if (!isInteger(data.firstPlayer, 1, players)) {
+        errors.push('firstPlayer: must be a player in the game');
+    }
+    if (typeof data.opening !== 'string' || !/^[1-9]*$/.test(data.opening)) {
+        errors.push('opening: must be a string of column digits');
+    }
+    
+    if (data.start !== null && data.start !== undefined) {
+        const { cells, toMove } = isObject(data.start) ? data.start : {};
+        const validCells = Array.isArray(cells) && cells.every(row =>
+            Array.isArray(row) && row.every(cell => isInteger(cell, EMPTY, players))
+        );
+        if (!validCells || !isInteger(toMove, 1, players)) {
+            errors.push('start: must be null or {cells (rows of cell values), toMove}');
+        }
+    }
+    
+    if (isObject(data.date)) {
+        for (const key of ['started', 'saved']) {
+            if (data.date[key] !== null && data.date[key] !== undefined && !isDate(data.date[key])) {
+                errors.push(`date.${key}: not a date`);
+            }
+        }
+    }
+    
+    const result = data.result;
+    if (!isObject(result) || !RECORD_RESULTS.includes(result.state)) {
+        errors.push(`result.state: must be one of ${RECORD_RESULTS.join(', ')}`);
+    } else if (result.state === GAME_STATE.TIMEOUT && !isInteger(result.timedOutPlayer, 1, players)) {
+        errors.push('result.timedOutPlayer: must be the player who ran out of time');
+    } else if (result.reason !== null && result.reason !== undefined && !Object.values(RESULT_REASON).includes(result.reason)) {
+        errors.push(`result.reason: must be one of ${Object.values(RESULT_REASON).join(', ')}`);
+    } else if (result.reason === RESULT_REASON.RESIGNATION && !isInteger(result.winner, 1, players)) {
+        errors.push('result.winner: a resignation needs the winner');
+    }
+    if (isObject(result) && result.kinds !== undefined &&
+        (!Array.isArray(result.kinds) || !result.kinds.every(kind => Object.values(WIN_KIND).includes(kind)))) {
+        errors.push(`result.kinds: must be a list of ${Object.values(WIN_KIND).join(', ')}`);
+    }
+    
+    if (!Array.isArray(data.moves)) {
+        errors.push('"moves" is missing');
+    } else {
+        data.moves.forEach((move, i) => {
+            const label = `Move ${i + 1}`;
+            if (!isObject(move)) {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+            if (!Object.values(MOVE_TYPE).includes(move.type)) {
+                errors.push(`${label}: unknown move type ${JSON.stringify(move.type)}`);
+            }
+            if (!isInteger(move.col, -1, Infinity)) {
+                errors.push(`${label}: col must be a column number (0-based, -1 for board turns and swaps)`);
+            }
+            if (move.row !== undefined && !isInteger(move.row, -1, Infinity)) {
+                errors.push(`${label}: row must be a row number (0-based)`);
+            }
+            if (!isInteger(move.player, 1, players)) {
+                errors.push(`${label}: player must be a player in the game`);
+            }
+            if (move.time !== undefined && !isDate(move.time)) {
+                errors.push(`${label}: time is not a date`);
+            }
+            if (move.comment !== undefined && typeof move.comment !== 'string') {
+                errors.push(`${label}: comment must be text`);
+            }
+        });
+    }
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Play a record back on a new game, checking that every move is legal and that
+ * the moves lead to the recorded result
+ * @param {Object} record - Record that passed validateRecord
+ * @returns {Object} Result {success, game, error}; load the game with Game.loadGame
+ */
+export function replayRecord(record) {
+    const rules = createRules(record.rules);
+    const cpuPlayers = record.players.filter(entry => entry.cpu).map(entry => entry.player);
+    const fail = (error) => ({ success: false, game: null, error });
+    
+    const game = new Game(rules);
+    game.setCPUPlayers(cpuPlayers.length > 0 ? cpuPlayers : null);
+    game.setTimeControl(record.timeControl || null);
+    game.startGame(record.mode, rules, record.firstPlayer, '');
+    
+    if (record.start) {
+        const { cells, toMove } = record.start;
+        if (cells.length !== game.board.rows || cells.some(row => row.length !== game.board.cols)) {
+            return fail(`Starting position: expected ${game.board.rows} rows of ${game.board.cols} cells`);
+        }
+        
+        game.startEditing();
+        cells.forEach((row, r) => row.forEach((cell, c) => game.board.setCell(r, c, cell)));
+        const { valid, errors } = game.finishEditing(toMove);
+        if (!valid) {
+            return fail(`Starting position: ${errors.join('; ')}`);
+        }
+    }
+    
+    // The opening is the start of the move list; it decides when the swap can be made
+    if (record.moves.length < record.opening.length) {
+        return fail('The opening is longer than the move list');
+    }
+    const openingMoves = record.moves.slice(0, record.opening.length);
+    if (openingMoves.some((move, i) => move.type !== MOVE_TYPE.DROP || move.col + 1 !== Number(record.opening[i]))) {
+        return fail("The opening doesn't match the first moves");
+    }
+    game.opening = record.opening;
+    
+    for (let i = 0; i < record.moves.length; i++) {
+        const { type, col, row, player, time, comment } = record.moves[i];
+        let error = null;
+        
+        if (game.gameState !== GAME_STATE.PLAYING) {
+            error = 'the game is already over';
+        } else if (player !== game.currentPlayer) {
+            error = `it is ${game.getPlayerName(game.currentPlayer)}'s turn`;
+        } else if (!game.isValidMove(col, type, { row })) {
+            error = col >= 0 ? `${type} in column ${col + 1} is not a legal move` : `${type} is not a legal move`;
+        }
+        if (error) {
+            return fail(`Move ${i + 1}: ${error}`);
+        }
+        
+        const move = game.makeMove(col, type, { row });
+        if (time) move.time = Date.parse(time);
+        if (comment) move.comment = comment;
+    }
+    
+    const { result } = record;
+    if (result.state === GAME_STATE.TIMEOUT && game.gameState === GAME_STATE.PLAYING) {
+        if (result.timedOutPlayer !== game.currentPlayer) {
+            return fail(`The result doesn't match the moves (only ${game.getPlayerName(game.currentPlayer)} could run out of time)`);
+        }
+        game.timeOut(result.timedOutPlayer);
+    }
+    
+    // Resignations and agreed draws end the game off the board
+    if (game.gameState === GAME_STATE.PLAYING && result.reason === RESULT_REASON.RESIGNATION) {
+        game.resign(game.getPlayers().find(player => player !== result.winner));
+    } else if (game.gameState === GAME_STATE.PLAYING && result.reason === RESULT_REASON.AGREEMENT) {
+        game.offerDraw();
+        game.acceptDraw();
+    }
+    
+    if (game.gameState !== result.state || (game.winner || null) !== (result.winner || null) ||
+        (result.reason && game.resultReason !== result.reason)) {
+        const outcome = game.winner ? `${game.gameState}, ${game.getPlayerName(game.winner)}` : game.gameState;
+        return fail(`The result doesn't match the moves (they end in: ${outcome})`);
+    }
+    
+    if (record.date && record.date.started) {
+        game.startedAt = Date.parse(record.date.started);
+    }
+    
+    return { success: true, game, error: null };
+}
+
+/**
+ * Read a record from the text of a JSON file and play it back (see replayRecord)
+ * @param {string} text - File contents
+ * @returns {Object} Result {success, record, game, error}; error says what is wrong with the file
+ */
+export function parseRecord(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { success: false, record: null, game: null, error: `The file is not valid JSON (${error.message})` };
+    }
+    
+    const { valid, errors } = validateRecord(data);
+    if (!valid) {
+        return { success: false, record: null, game: null, error: errors.join('; ') };
+    }
+    
+    const { success, game, error } = replayRecord(data);
+    return { success, record: success ? data : null, game, error };
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check for a whole number in a range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} True for an integer from min to max
+ */
+function isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check for a date string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a string Date.parse understands
+ */
+function isDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+export default parseRecord;
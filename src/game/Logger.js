@@ -0,0 +1,32 @@
+/**
+ * Logging for the game engine
+ * Engine messages (rejected moves, failing event listeners) go through a logger
+ * that embedders can replace, e.g. to silence them on a server
+ */
+
+// A logger that drops every message
+export const SILENT_LOGGER = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+let defaultLogger = console;
+
+/**
+ * Set the logger used by every game without a logger of its own
+ * @param {Object|null} logger - Object with log, warn and error methods (null = silent)
+ */
+export function setDefaultLogger(logger) {
+    defaultLogger = logger || SILENT_LOGGER;
+}
+
+/**
+ * Get the logger used by every game without a logger of its own
+ * @returns {Object} Logger {log, warn, error}
+ */
+export function getDefaultLogger() {
+    return defaultLogger;
+}
+
+export default getDefaultLogger;
@@ -0,0 +1,173 @@
+/**
+ * Match series for Connect 4
+ * Keeps the score over a series of games, passing the first move round the players
+ */
+
+import { MIN_PLAYERS, getPlayers } from './Board.js';
+import { WIN_KIND } from './GameLogic.js';
+
+// Selectable match lengths (null = open-ended, just a running score)
+export const MATCH_LENGTHS = [null, 3, 5, 7];
+
+export class Match {
+    /**
+     * @param {number|null} bestOf - Games in the series, or null for an open-ended run of games
+     * @param {number} players - Number of players
+     */
+    constructor(bestOf = null, players = MIN_PLAYERS) {
+        this.bestOf = bestOf;
+        this.players = getPlayers(players);
+        this.results = []; // Winner of each finished game (null for a draw)
+        this.winKinds = []; // Kinds of line each finished game was won with (see WIN_KIND)
+        this.playing = false; // Whether a game of the series is under way
+    }
+    
+    /**
+     * Start a new series with no games played
+     * @param {number|null} bestOf - Games in the series, or null for an open-ended run of games
+     * @param {number} players - Number of players
+     */
+    reset(bestOf = this.bestOf, players = this.players.length) {
+        this.bestOf = bestOf;
+        this.players = getPlayers(players);
+        this.results = [];
+        this.winKinds = [];
+        this.playing = false;
+    }
+    
+    /**
+     * Get the player who moves first in the next game (each game passes the first move on)
+     * @returns {number} Player number
+     */
+    getFirstPlayer() {
+        return this.players[this.results.length % this.players.length];
+    }
+    
+    /**
+     * Start the next game of the series
+     * @returns {number} Player who moves first
+     */
+    startGame() {
+        this.playing = true;
+        return this.getFirstPlayer();
+    }
+    
+    /**
+     * Record the result of the game under way
+     * @param {number|null} winner - Winning player, or null for a draw
+     * @param {string[]} kinds - Kinds of the winning lines (none for a draw or a win on time or by resignation)
+     * @returns {boolean} True if the result was recorded (false if no game was under way)
+     */
+    finishGame(winner, kinds = []) {
+        if (!this.playing) {
+            return false;
+        }
+        
+        this.results.push(winner);
+        this.winKinds.push(winner !== null ? kinds : []);
+        this.playing = false;
+        return true;
+    }
+    
+    /**
+     * Take back the result of the last game (its last move was undone)
+     */
+    reopenGame() {
+        if (this.playing || this.results.length === 0) {
+            return;
+        }
+        
+        this.results.pop();
+        this.winKinds.pop();
+        this.playing = true;
+    }
+    
+    /**
+     * Count each player's wins
+     * @returns {Object} Map of player to games won
+     */
+    getScores() {
+        const scores = {};
+        for (const player of this.players) {
+            scores[player] = 0;
+        }
+        for (const winner of this.results) {
+            if (winner !== null) scores[winner]++;
+        }
+        return scores;
+    }
+    
+    /**
+     * Count the games won with each kind of line (a game won with lines of two kinds counts for both)
+     * @returns {Object} Map of win kind (see WIN_KIND) to games
+     */
+    getWinKindCounts() {
+        const counts = {};
+        for (const kind of Object.values(WIN_KIND)) {
+            counts[kind] = 0;
+        }
+        for (const kinds of this.winKinds) {
+            for (const kind of kinds) counts[kind]++;
+        }
+        return counts;
+    }
+    
+    /**
+     * Get the number of wins that takes the series outright
+     * @returns {number|null} Wins needed, or null for an open-ended run of games
+     */
+    getWinsNeeded() {
+        return this.bestOf ? Math.floor(this.bestOf / 2) + 1 : null;
+    }
+    
+    /**
+     * Get the winner of the series: the first player to the wins needed, or else the leader
+     * once all the games are played (a tie for the lead goes on game by game)
+     * @returns {number|null} Winning player, or null while the series is undecided
+     */
+    getWinner() {
+        if (!this.bestOf) {
+            return null;
+        }
+        
+        const scores = this.getScores();
+        const winsNeeded = this.getWinsNeeded();
+        const ranked = [...this.players].sort((a, b) => scores[b] - scores[a]);
+        const [leader, runnerUp] = ranked;
+        
+        if (scores[leader] >= winsNeeded) {
+            return leader;
+        }
+        if (this.results.length >= this.bestOf && scores[leader] > scores[runnerUp]) {
+            return leader;
+        }
+        return null;
+    }
+    
+    /**
+     * Check if the series is decided
+     * @returns {boolean} True once there is a match winner
+     */
+    isOver() {
+        return this.getWinner() !== null;
+    }
+    
+    /**
+     * Get the series state for display
+     * @returns {Object} Match info {bestOf, game, scores, draws, winKinds, winner, over}
+     */
+    getInfo() {
+        const winner = this.getWinner();
+        return {
+            bestOf: this.bestOf,
+            game: this.results.length + (this.playing ? 1 : 0),
+            scores: this.getScores(),
+            draws: this.results.filter(result => result === null).length,
+            winKinds: this.getWinKindCounts(),
+            winner,
+            over: winner !== null
+        };
+    }
+}
+
+export default Match;
@@ -0,0 +1,238 @@
+/**
+ * Game rules for Connect 4
+ * Bundles the per-game settings shared by Board, GameLogic and AI
+ */
+
+import {
+    Board,
+    createBoardConfig,
+    getPlayers,
+    BOARD_SIZES,
+    DEFAULT_BOARD_SIZE,
+    WIN_LENGTH,
+    SPECIAL_TOKEN,
+    MIN_PLAYERS,
+    MAX_PLAYERS
+} from './Board.js';
+import { Board3D, createBoard3DConfig } from './Board3D.js';
+
+// Selectable connect-N win lengths
+export const WIN_LENGTHS = [3, 4, 5, 6];
+
+export const VARIANT = {
+    CLASSIC: 'classic',   // Drop tokens only
+    POPOUT: 'popout',     // Drop, or pop your own token out of the bottom row
+    POWER_UP: 'powerup',  // Each player also gets one of each special token
+    FIVE_IN_A_ROW: 'fiveinarow', // 9x6 board, outer columns pre-filled, connect 5 (two players only)
+    SCORE_FOUR: 'scorefour',     // 4x4 pegs, 4 levels high, connect 4 along any 3D line
+    GRAVITY_FLIP: 'gravityflip'  // 7x7 board each player may turn a quarter turn once
+};
+
+export const MOVE_TYPE = {
+    DROP: 'drop',                   // Drop a token into a column
+    POP: 'pop',                     // Remove own token from the bottom of a column (PopOut)
+    ANVIL: SPECIAL_TOKEN.ANVIL,     // Drop an anvil that clears its column (Power Up)
+    BOMB: SPECIAL_TOKEN.BOMB,       // Remove an opponent token (Power Up)
+    WALL: SPECIAL_TOKEN.WALL,       // Drop a token that can't be used for a win (Power Up)
+    DOUBLE: SPECIAL_TOKEN.DOUBLE,   // Drop a token and take another turn (Power Up)
+    ROTATE_LEFT: 'rotate-left',     // Turn the board a quarter turn anticlockwise (Gravity Flip)
+    ROTATE_RIGHT: 'rotate-right',   // Turn the board a quarter turn clockwise (Gravity Flip)
+    SWAP: 'swap'                    // Take over the first player's position (swap rule)
+};
+
+// Power-up move types, each usable once per player per game
+export const POWER_UPS = [MOVE_TYPE.ANVIL, MOVE_TYPE.BOMB, MOVE_TYPE.WALL, MOVE_TYPE.DOUBLE];
+
+// Board turns, which don't use a column
+export const ROTATIONS = [MOVE_TYPE.ROTATE_LEFT, MOVE_TYPE.ROTATE_RIGHT];
+
+// Board turns each player may make per game (Gravity Flip)
+export const ROTATIONS_PER_GAME = 1;
+
+// Short openings for the standard 7x6 board, as move strings (see Game.loadFromMoves).
+// Starting in the centre column is a forced win for the first player; starting next to it
+// is not (Allis, 1988), so every opening starts in column 3 or 5. Mirrored pairs keep the
+// list symmetric.
+export const BALANCED_OPENINGS = [
+    '34', '54', '35', '53', '33', '55', '32', '56',
+    '343', '545', '344', '544', '334', '554', '353', '535',
+    '3443', '5445', '3344', '5544', '3453', '5435'
+];
+
+// Variants that fix their own board and win length (and some the number of players)
+const VARIANT_PRESETS = {
+    [VARIANT.FIVE_IN_A_ROW]: { size: '9x6', winLength: 5, layout: createFiveInARowLayout, players: MIN_PLAYERS }, // Edge tokens only share out evenly between two
+    [VARIANT.SCORE_FOUR]: { size: '4x4x4', winLength: 4, board: createBoard3DConfig },
+    [VARIANT.GRAVITY_FLIP]: { size: '7x7', winLength: 4, flat: true } // Square so a turned board keeps its shape, never a cylinder
+};
+
+/**
+ * Create the Five-in-a-Row starting layout: both outer columns filled
+ * with tokens taking turns up the column, offset by one on the right
+ * so each row holds one of each color
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {number[]} players - Players in turn order
+ * @returns {Array} Layout tokens [{row, col, player}]
+ */
+function createFiveInARowLayout(rows, cols, players) {
+    const layout = [];
+    for (let row = 0; row < rows; row++) {
+        layout.push({ row, col: 0, player: players[row % players.length] });
+        layout.push({ row, col: cols - 1, player: players[(row + 1) % players.length] });
+    }
+    return layout;
+}
+
+/**
+ * Create the rules for a game
+ * @param {Object} options - Rule options
+ * @param {string} options.size - Board size key (e.g. '7x6')
+ * @param {number} options.winLength - Tokens in a row needed to win
+ * @param {string} options.variant - Rule variant (see VARIANT)
+ * @param {boolean} options.wrap - Cylinder: lines wrap from the last column to the first (flat boards only)
+ * @param {number} options.players - Number of players taking turns (2-4; Five-in-a-Row is two players only)
+ * @param {boolean} options.swap - Swap rule: the second player may take over the first move (two players only)
+ * @param {boolean} options.openings - Start from a random balanced opening (classic 7x6 Connect 4, two players only)
+ * @param {boolean} options.earlyDraw - End the game as a draw once nobody can connect any more
+ * (see isDeadPosition; not in variants where tokens move after landing)
+ * @returns {Object} Rules {size, rows, cols, winLength, variant, layout, wrap, players, swap, openings, earlyDraw},
+ * plus {width, depth} for a 3D board
+ */
+export function createRules({
+    size = DEFAULT_BOARD_SIZE,
+    winLength = WIN_LENGTH,
+    variant = VARIANT.CLASSIC,
+    wrap = false,
+    players = MIN_PLAYERS,
+    swap = false,
+    openings = false,
+    earlyDraw = false
+} = {}) {
+    const preset = VARIANT_PRESETS[variant];
+    if (preset) {
+        size = preset.size;
+        winLength = preset.winLength;
+    } else if (!BOARD_SIZES[size]) {
+        size = DEFAULT_BOARD_SIZE;
+    }
+    
+    const boardConfig = preset && preset.board ? preset.board() : createBoardConfig(size);
+    const { rows, cols } = boardConfig;
+    
+    // A line can't be longer than the board allows
+    const maxLength = Math.max(rows, cols);
+    
+    const playerCount = preset && preset.players ? preset.players : Math.max(MIN_PLAYERS, Math.min(MAX_PLAYERS, players));
+    const flatWrap = wrap && !(preset && (preset.board || preset.flat));
+    
+    // The opening list only holds for plain Connect 4 on the standard board
+    const standardGame = variant === VARIANT.CLASSIC && size === DEFAULT_BOARD_SIZE &&
+        winLength === WIN_LENGTH && !flatWrap;
+    
+    // Pops, anvils, bombs and board turns can reopen a line that looked blocked
+    const tokensStay = ![VARIANT.POPOUT, VARIANT.POWER_UP, VARIANT.GRAVITY_FLIP].includes(variant);
+    
+    return {
+        size,
+        ...boardConfig,
+        winLength: Math.min(winLength, maxLength),
+        variant,
+        layout: preset && preset.layout ? preset.layout(rows, cols, getPlayers(playerCount)) : [],
+        wrap: flatWrap,
+        players: playerCount,
+        swap: swap && playerCount === MIN_PLAYERS,
+        openings: openings && playerCount === MIN_PLAYERS && standardGame,
+        earlyDraw: earlyDraw && tokensStay
+    };
+}
+
+/**
+ * Draw the opening a game starts from
+ * @param {Object} rules - Game rules
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {string} Opening move string, or '' if the rules don't use openings
+ */
+export function pickOpening(rules, random = Math.random) {
+    if (!rules.openings) {
+        return '';
+    }
+    return BALANCED_OPENINGS[Math.floor(random() * BALANCED_OPENINGS.length)];
+}
+
+/**
+ * Create an empty board for a rule set
+ * @param {Object} rules - Game rules
+ * @returns {Board} A flat Board, or a Board3D for Score Four
+ */
+export function createBoard(rules) {
+    return is3D(rules) ? new Board3D(rules) : new Board(rules);
+}
+
+/**
+ * Check whether a rule set is played on a 3D peg board
+ * @param {Object} rules - Game rules
+ * @returns {boolean} True for Score Four
+ */
+export function is3D(rules) {
+    return rules.variant === VARIANT.SCORE_FOUR;
+}
+
+/**
+ * Check whether a rule set allows popping tokens out of the bottom row
+ * @param {Object} rules - Game rules
+ * @returns {boolean} True if pop moves are allowed
+ */
+export function allowsPop(rules) {
+    return rules.variant === VARIANT.POPOUT;
+}
+
+/**
+ * Check whether a rule set gives players special tokens
+ * @param {Object} rules - Game rules
+ * @returns {boolean} True if power-up moves are allowed
+ */
+export function usesPowerUps(rules) {
+    return rules.variant === VARIANT.POWER_UP;
+}
+
+/**
+ * Check whether a rule set lets players turn the board
+ * @param {Object} rules - Game rules
+ * @returns {boolean} True for Gravity Flip
+ */
+export function allowsRotation(rules) {
+    return rules.variant === VARIANT.GRAVITY_FLIP;
+}
+
+/**
+ * Check whether a move type turns the board
+ * @param {string} type - Move type (see MOVE_TYPE)
+ * @returns {boolean} True for left and right turns
+ */
+export function isRotation(type) {
+    return ROTATIONS.includes(type);
+}
+
+/**
+ * Check whether a move type is a power-up move
+ * @param {string} type - Move type (see MOVE_TYPE)
+ * @returns {boolean} True for anvil, bomb, wall and x2 moves
+ */
+export function isPowerUp(type) {
+    return POWER_UPS.includes(type);
+}
+
+/**
+ * Create a fresh power-up inventory for one player (one of each special token)
+ * @returns {Object} Map of power-up move type to remaining count
+ */
+export function createPowerUpInventory() {
+    const inventory = {};
+    for (const type of POWER_UPS) {
+        inventory[type] = 1;
+    }
+    return inventory;
+}
+
+export default createRules;
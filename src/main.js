@@ -1,19 +1,47 @@
 import * as THREE from 'three';
 import { createScene } from './scene/Scene.js';
-import { createCamera } from './scene/Camera.js';
+import { createCamera, frameBoard, framePegBoard } from './scene/Camera.js';
 import { createLighting } from './scene/Lighting.js';
 import { createControls } from './scene/Controls.js';
-import { createBoardMesh } from './objects/BoardMesh.js';
-import { TokenPool, getTokenPosition, getTokenStartPosition } from './objects/Token.js';
+import { CELL_SIZE, createBoardMesh, worldYToRow } from './objects/BoardMesh.js';
+import { TokenPool, createSpecialToken, createBombMesh, getTokenPosition, getTokenStartPosition } from './objects/Token.js';
 import { createColumnZones, createColumnHighlight, createPreviewToken, setColumnHighlight, setPreviewPosition } from './objects/Column.js';
-import { Game, GAME_STATE, GAME_MODE } from './game/Game.js';
-import { PLAYER_1, PLAYER_2 } from './game/Board.js';
-import { Easing, animatePosition, pulseAnimation, glowAnimation } from './utils/Animation.js';
+import {
+    createPegBoardMesh,
+    createPegZones,
+    createPegHighlight,
+    createPreviewBead,
+    createBead,
+    setPegHighlight,
+    setPreviewBeadPosition,
+    getBeadPosition,
+    getBeadStartPosition,
+    worldYToLevel
+} from './objects/PegBoard.js';
+import { Game, GAME_STATE, GAME_MODE, MOVE_ERROR, RESULT_REASON, TIME_CONTROLS } from './game/Game.js';
+import { Match } from './game/Match.js';
+import { createRecord, parseRecord } from './game/GameRecord.js';
+import { EMPTY, MAX_PLAYERS, getPlayers } from './game/Board.js';
+import { createRules, is3D, MOVE_TYPE } from './game/Rules.js';
+import { Easing, animate, animatePosition, shakeAnimation, pulseAnimation, glowAnimation } from './utils/Animation.js';
 import { HUD } from './ui/HUD.js';
 import { injectStyles } from './ui/GameStatus.js';
 import { AI, DIFFICULTY } from './game/AI.js';
 import { ThemeManager, THEMES } from './utils/ThemeManager.js';
 
+// What the player is told when a move is refused (other refusals show the engine's message)
+const MOVE_ERROR_MESSAGES = {
+    [MOVE_ERROR.GAME_OVER]: 'The game is over',
+    [MOVE_ERROR.NOT_PLAYING]: "Moves can't be made now",
+    [MOVE_ERROR.ANIMATING]: 'Wait for the token to land',
+    [MOVE_ERROR.NOT_YOUR_TURN]: "It's not your turn",
+    [MOVE_ERROR.OUT_OF_RANGE]: 'There is no column there',
+    [MOVE_ERROR.COLUMN_FULL]: 'That column is full'
+};
+
+// Colour the column highlight flashes when a move there is refused
+const REJECTED_HIGHLIGHT_COLOR = 0xff5252;
+
 /**
  * Main application class for Connect 4 game
  */
@@ -25,12 +53,18 @@ class Connect4App {
         this.controls = null;
         this.lights = null;
         this.board = null;
+        this.setup = {}; // Rule picks from the HUD setup panel
+        this.rules = createRules(this.setup);
         
         // Game components
         this.game = null;
-        this.tokenPool = null;
+        this.match = new Match(null, this.rules.players); // Series score across games
+        this.tokenPool = null;   // Pool for the current board (discs or beads)
+        this.discPool = null;
+        this.beadPool = null;
         this.columnZones = null;
         this.columnHighlight = null;
+        this.rejection = null; // Shake of the column highlight after a refused move {stop}
         this.previewToken = null;
         this.placedTokens = [];
         
@@ -38,10 +72,18 @@ class Connect4App {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.hoveredColumn = -1;
+        this.hoveredRow = -1;
+        this.moveType = MOVE_TYPE.DROP;
+        this.editNextPlayer = null; // Player picked to move after editing (null = from the token counts)
         
         // Animation
         this.animatingTokens = [];
         this.winAnimations = [];
+        this.retractingTokens = []; // {mesh, animation} for tokens being lifted out by an undo
+        this.boardTurn = null; // {animation, finish} while the board is being turned (Gravity Flip)
+        this.animationEndsAt = 0; // Moves (and clocks) are held until this time (performance.now()) for animations to finish
+        this.ghostTokens = new Map(); // Token mesh -> ghost mirroring it across a cylinder's seam
+        this.ghostPool = [];
         
         // AI
         this.ai = null;
@@ -49,6 +91,12 @@ class Connect4App {
         this.aiDifficulty = DIFFICULTY.MEDIUM;
         this.aiThinking = false; // Flag to prevent multiple AI moves
         
+        // Replay
+        this.replayStepTime = 1000; // ms between moves of a replay playing at normal speed
+        this.replaySpeed = 1; // Playback speed multiplier
+        this.replayPlaying = false; // Whether the replay steps forward by itself
+        this.nextReplayStepAt = 0; // When a playing replay takes its next step (performance.now())
+        
         // UI
         this.hud = null;
         
@@ -93,9 +141,15 @@ class Connect4App {
         this.controls = createControls(this.camera, this.renderer.domElement);
         
         // Initialize game logic
-        this.game = new Game();
+        this.game = new Game(this.rules);
         this.game.onStateChange = (state) => this.onGameStateChange(state);
         this.game.onTokenPlaced = (move) => this.onTokenPlaced(move);
+        this.game.onTokenPopped = (move) => this.onTokenPopped(move);
+        this.game.onPowerUpUsed = (move) => this.onPowerUpUsed(move);
+        this.game.onBoardRotated = (move) => this.onBoardRotated(move);
+        this.game.onPlayersSwapped = (move) => this.onPlayersSwapped(move);
+        this.game.onMoveUndone = (move) => this.onMoveUndone(move);
+        this.game.onPositionLoaded = () => this.onPositionLoaded();
         
         // Create theme manager
         this.themeManager = new ThemeManager();
@@ -104,34 +158,65 @@ class Connect4App {
         this.ai = new AI(this.aiDifficulty);
         
         // Create token pool (after theme manager)
-        this.tokenPool = new TokenPool(this.themeManager);
-        
-        // Create the game board (after theme manager)
-        this.board = createBoardMesh(this.themeManager);
-        this.scene.add(this.board);
-        
-        // Create column interaction zones
-        this.columnZones = createColumnZones();
-        this.scene.add(this.columnZones);
-        
-        // Create column highlight (after theme manager)
-        this.columnHighlight = createColumnHighlight(this.themeManager);
-        this.scene.add(this.columnHighlight);
+        this.discPool = new TokenPool(this.themeManager, this.rules);
+        
+        // Create column and peg highlights (after theme manager)
+        this.slotHighlight = createColumnHighlight(this.themeManager);
+        this.pegHighlight = createPegHighlight(this.themeManager);
+        this.scene.add(this.slotHighlight);
+        this.scene.add(this.pegHighlight);
+        
+        // Create preview tokens and beads for every player (after theme manager)
+        this.slotPreviews = {};
+        this.beadPreviews = {};
+        for (const player of getPlayers(MAX_PLAYERS)) {
+            this.slotPreviews[player] = createPreviewToken(player, this.themeManager);
+            this.beadPreviews[player] = createPreviewBead(player, this.themeManager);
+            this.scene.add(this.slotPreviews[player]);
+            this.scene.add(this.beadPreviews[player]);
+        }
         
-        // Create preview tokens for both players (after theme manager)
-        this.previewTokens = {
-            [PLAYER_1]: createPreviewToken(PLAYER_1, this.themeManager),
-            [PLAYER_2]: createPreviewToken(PLAYER_2, this.themeManager)
-        };
-        this.scene.add(this.previewTokens[PLAYER_1]);
-        this.scene.add(this.previewTokens[PLAYER_2]);
+        // Create the game board and column zones (after theme manager)
+        this.buildBoard();
         
         // Create HUD
         this.hud = new HUD();
         this.hud.onRestart = () => this.restartGame();
+        this.hud.onNextGame = () => this.continueMatch();
+        this.hud.onUndo = () => this.undoMove();
+        this.hud.onRedo = () => this.redoMove();
+        this.hud.onResign = () => this.resign();
+        this.hud.onOfferDraw = () => this.offerDraw();
+        this.hud.onLoadMoves = (moveString) => this.loadMoves(moveString);
+        this.hud.onCopyMoves = () => this.copyMoves();
+        this.hud.onSaveRecord = () => this.saveRecord();
+        this.hud.onLoadRecord = (file) => this.loadRecord(file);
+        this.hud.onEditStart = () => this.startEditing();
+        this.hud.onEditNextPlayer = (player) => this.setEditNextPlayer(player);
+        this.hud.onEditClear = () => this.clearPosition();
+        this.hud.onEditDone = () => this.finishEditing();
         this.hud.onModeChange = (mode) => this.changeGameMode(mode);
         this.hud.onDifficultyChange = (difficulty) => this.changeDifficulty(difficulty);
         this.hud.onThemeChange = (theme) => this.changeTheme(theme);
+        this.hud.onBoardSizeChange = (size) => this.changeBoardSize(size);
+        this.hud.onWinLengthChange = (winLength) => this.changeWinLength(winLength);
+        this.hud.onVariantChange = (variant) => this.changeVariant(variant);
+        this.hud.onWrapChange = (wrap) => this.changeWrap(wrap);
+        this.hud.onEarlyDrawChange = (earlyDraw) => this.changeEarlyDraw(earlyDraw);
+        this.hud.onPlayerCountChange = (players) => this.changePlayerCount(players);
+        this.hud.onCPUPlayersChange = (cpuPlayers) => this.changeCPUPlayers(cpuPlayers);
+        this.hud.onTimeControlChange = (timeControl) => this.changeTimeControl(timeControl);
+        this.hud.onMatchLengthChange = (bestOf) => this.changeMatchLength(bestOf);
+        this.hud.onOpeningChange = (options) => this.changeOpeningRules(options);
+        this.hud.onSwap = () => this.swapSides();
+        this.hud.onReplayStart = () => this.startReplay();
+        this.hud.onReplayStep = (step) => this.stepReplay(step);
+        this.hud.onReplayPlay = () => this.toggleReplayPlayback();
+        this.hud.onReplaySeek = (index) => this.seekReplay(index);
+        this.hud.onReplaySpeedChange = (speed) => this.setReplaySpeed(speed);
+        this.hud.onReplayExit = () => this.stopReplay();
+        this.hud.onMoveTypeChange = (type) => this.setMoveType(type);
+        this.hud.onRotate = (type) => this.rotateBoard(type);
         
         // Add a ground plane for reference
         this.addGroundPlane();
@@ -146,11 +231,77 @@ class Connect4App {
         this.animate();
         
         // Start the game
-        this.game.startGame(GAME_MODE.PVP);
+        this.startNewGame(GAME_MODE.PVP);
         
         console.log('Line4UP initialized!');
     }
     
+    /**
+     * Create (or recreate) the board mesh and column zones for the current rules.
+     * Score Four swaps the upright board for a peg board, with pegs standing in for columns.
+     */
+    buildBoard() {
+        if (this.rejection) {
+            this.rejection.stop();
+        }
+        if (this.board) {
+            this.scene.remove(this.board);
+        }
+        if (this.columnZones) {
+            this.scene.remove(this.columnZones);
+        }
+        
+        if (is3D(this.rules)) {
+            this.board = createPegBoardMesh(this.themeManager, this.rules);
+            this.columnZones = createPegZones(this.rules);
+            
+            // Beads are only created once a 3D game is played
+            if (!this.beadPool) {
+                this.beadPool = new TokenPool(this.themeManager, this.rules, createBead);
+            }
+            this.tokenPool = this.beadPool;
+            this.columnHighlight = this.pegHighlight;
+            this.previewTokens = this.beadPreviews;
+        } else {
+            this.board = createBoardMesh(this.themeManager, this.rules);
+            this.columnZones = createColumnZones(this.rules);
+            this.tokenPool = this.discPool;
+            this.columnHighlight = this.slotHighlight;
+            this.previewTokens = this.slotPreviews;
+        }
+        this.scene.add(this.board);
+        this.scene.add(this.columnZones);
+        
+        // Make sure there are enough tokens to fill the board
+        this.tokenPool.initializePool(this.rules);
+        
+        // Fit the whole board in view
+        if (is3D(this.rules)) {
+            framePegBoard(this.camera, this.controls, this.rules);
+        } else {
+            frameBoard(this.camera, this.controls, this.rules);
+        }
+    }
+    
+    /**
+     * Get the world position of a cell on the current board
+     * @param {number} row - Row index (a level on a peg board)
+     * @param {number} col - Column index (a peg on a peg board)
+     * @returns {THREE.Vector3} World position
+     */
+    getCellPosition(row, col) {
+        return is3D(this.rules) ? getBeadPosition(row, col, this.rules) : getTokenPosition(row, col, this.rules);
+    }
+    
+    /**
+     * Get the position a token is dropped from, above a column (or peg)
+     * @param {number} col - Column index
+     * @returns {THREE.Vector3} Start position above the board
+     */
+    getDropStartPosition(col) {
+        return is3D(this.rules) ? getBeadStartPosition(col, this.rules) : getTokenStartPosition(col, this.rules);
+    }
+    
     /**
      * Add a ground plane for visual reference
      */
@@ -184,6 +335,9 @@ class Connect4App {
         
         // Touch support
         canvas.addEventListener('touchstart', (event) => this.onTouchStart(event));
+        
+        // Clocks stop while the tab is hidden
+        document.addEventListener('visibilitychange', () => this.game.setClockPaused(document.hidden));
     }
     
     /**
@@ -202,6 +356,7 @@ class Connect4App {
         
         if (intersects.length > 0) {
             const col = intersects[0].object.userData.columnIndex;
+            this.hoveredRow = this.worldYToRow(intersects[0].point.y);
             this.setHoveredColumn(col);
         } else {
             this.setHoveredColumn(-1);
@@ -212,11 +367,93 @@ class Connect4App {
      * Handle mouse click for token placement
      */
     onMouseClick(event) {
-        if (this.hoveredColumn >= 0 && this.game.isValidMove(this.hoveredColumn)) {
-            this.game.makeMove(this.hoveredColumn);
+        if (this.game.gameState === GAME_STATE.EDITING) {
+            if (this.hoveredColumn >= 0) {
+                this.editCell(this.hoveredRow, this.hoveredColumn);
+            }
+        } else if (this.hoveredColumn >= 0) {
+            this.makePlayerMove(this.hoveredColumn);
+        }
+    }
+    
+    /**
+     * Make a move for the human player with the selected move type
+     * @param {number} col - Column index
+     */
+    makePlayerMove(col) {
+        const result = this.game.tryMove(col, this.moveType, { ...this.getMoveOptions(), player: this.getHumanPlayer() });
+        if (!result.success) {
+            this.showMoveRejection(result, col);
+            return;
+        }
+        
+        // Go back to dropping after a pop or a special token
+        if (this.moveType !== MOVE_TYPE.DROP) {
+            this.setMoveType(MOVE_TYPE.DROP);
         }
     }
     
+    /**
+     * Tell the player why a move was refused: a toast, and the column's highlight shakes and flashes red
+     * @param {Object} result - Refused move result from Game.tryMove {code, error}
+     * @param {number} col - Column of the move (-1 for moves without one)
+     */
+    showMoveRejection(result, col) {
+        this.hud.showToast(MOVE_ERROR_MESSAGES[result.code] || result.error);
+        
+        if (col < 0 || col >= this.rules.cols) {
+            return;
+        }
+        
+        if (this.rejection) {
+            this.rejection.stop();
+        }
+        
+        if (is3D(this.rules)) {
+            setPegHighlight(this.columnHighlight, col, this.rules);
+        } else {
+            setColumnHighlight(this.columnHighlight, col, this.rules);
+        }
+        this.hidePreviewTokens();
+        
+        const materials = [];
+        this.columnHighlight.traverse(object => {
+            if (object.material) materials.push(object.material);
+        });
+        materials.forEach(material => material.color.setHex(REJECTED_HIGHLIGHT_COLOR));
+        
+        const finish = () => {
+            this.rejection = null;
+            this.themeManager.updateColumnHighlightMaterials();
+            this.setHoveredColumn(this.hoveredColumn);
+        };
+        const shake = shakeAnimation(this.columnHighlight, 0.15, 400, finish);
+        this.rejection = {
+            stop: () => {
+                shake.stop();
+                finish();
+            }
+        };
+    }
+    
+    /**
+     * Get the extra options for the selected move type (a bomb targets the hovered cell)
+     * @returns {Object} Move options
+     */
+    getMoveOptions() {
+        return this.moveType === MOVE_TYPE.BOMB ? { row: this.hoveredRow } : {};
+    }
+    
+    /**
+     * Set the move type used for the next click (drop, pop or a special token)
+     * @param {string} type - Move type (see MOVE_TYPE)
+     */
+    setMoveType(type) {
+        this.moveType = type;
+        this.hud.setActiveMoveType(type);
+        this.setHoveredColumn(this.hoveredColumn);
+    }
+    
     /**
      * Handle touch events
      */
@@ -233,45 +470,78 @@ class Connect4App {
             
             if (intersects.length > 0) {
                 const col = intersects[0].object.userData.columnIndex;
-                if (this.game.isValidMove(col)) {
-                    this.game.makeMove(col);
+                this.hoveredRow = this.worldYToRow(intersects[0].point.y);
+                if (this.game.gameState === GAME_STATE.EDITING) {
+                    this.editCell(this.hoveredRow, col);
+                } else {
+                    this.makePlayerMove(col);
                 }
             }
         }
     }
     
+    /**
+     * Convert the height of a pointer hit on a column zone to a row (a level on a peg board)
+     * @param {number} y - World Y coordinate
+     * @returns {number} Row index
+     */
+    worldYToRow(y) {
+        return is3D(this.rules) ? worldYToLevel(y, this.rules) : worldYToRow(y, this.rules);
+    }
+    
     /**
      * Set the currently hovered column
      */
     setHoveredColumn(col) {
         this.hoveredColumn = col;
         
+        // Leave a refused column flashing until its shake settles
+        if (this.rejection) {
+            return;
+        }
+        
         // Don't show highlight during CPU turn
         if (this.game.isCPUTurn()) {
             this.columnHighlight.visible = false;
-            this.previewTokens[PLAYER_1].visible = false;
-            this.previewTokens[PLAYER_2].visible = false;
+            this.hidePreviewTokens();
             return;
         }
         
         // Update highlight visibility
-        if (col >= 0 && this.game.isValidMove(col)) {
-            setColumnHighlight(this.columnHighlight, col);
-            
-            // Show preview token at target position
-            const targetRow = this.game.board.findLowestRow(col);
-            const currentPlayer = this.game.getCurrentPlayer();
+        if (col >= 0 && this.game.isValidMove(col, this.moveType, this.getMoveOptions())) {
+            if (is3D(this.rules)) {
+                setPegHighlight(this.columnHighlight, col, this.rules);
+            } else {
+                setColumnHighlight(this.columnHighlight, col, this.rules);
+            }
             
             // Hide all preview tokens first
-            this.previewTokens[PLAYER_1].visible = false;
-            this.previewTokens[PLAYER_2].visible = false;
+            this.hidePreviewTokens();
             
-            // Show current player's preview
-            setPreviewPosition(this.previewTokens[currentPlayer], col, targetRow);
+            // Only moves that drop a token have a landing spot to preview
+            if (this.moveType === MOVE_TYPE.DROP || this.moveType === MOVE_TYPE.WALL || this.moveType === MOVE_TYPE.DOUBLE) {
+                const targetRow = this.game.board.findLowestRow(col);
+                const currentPlayer = this.game.getCurrentPlayer();
+                
+                // Show current player's preview
+                if (is3D(this.rules)) {
+                    setPreviewBeadPosition(this.previewTokens[currentPlayer], col, targetRow, this.rules);
+                } else {
+                    setPreviewPosition(this.previewTokens[currentPlayer], col, targetRow, this.rules);
+                }
+            }
         } else {
             this.columnHighlight.visible = false;
-            this.previewTokens[PLAYER_1].visible = false;
-            this.previewTokens[PLAYER_2].visible = false;
+            this.hidePreviewTokens();
+        }
+    }
+    
+    /**
+     * Hide every player's preview token
+     */
+    hidePreviewTokens() {
+        for (const preview of Object.values(this.previewTokens)) {
+            preview.visible = false;
         }
     }
     
@@ -281,21 +551,110 @@ class Connect4App {
     onGameStateChange(state) {
         console.log('Game state changed:', state);
         
+        this.hud.setSeats(state.players, state.cpuPlayers);
+        this.hud.setUndoRedo(state.canUndo, state.canRedo);
+        this.hud.setGameActions(
+            state.canResign && !this.game.isCPUTurn() && this.getHumanPlayer() !== null,
+            state.canOfferDraw && !this.game.isCPUTurn()
+        );
+        
+        // A question about the game (resign? accept a draw?) is moot once it has stopped
+        if (state.state !== GAME_STATE.PLAYING) {
+            this.hud.hideConfirm();
+        }
+        this.hud.setOpening(this.describeOpening(state), state.canSwap && !this.game.isCPUTurn());
+        
         if (state.state === GAME_STATE.WIN) {
-            this.hud.showWin(state.winner, state.winnerName);
+            if (state.resultReason === RESULT_REASON.RESIGNATION) {
+                const loser = state.players.find(player => player !== state.winner);
+                this.hud.showResignation(state.winner, state.winnerName, this.game.getPlayerName(loser));
+            } else {
+                this.hud.showWin(state.winner, state.winnerName, state.winKinds);
+            }
             this.highlightWinningTokens(state.winningPositions);
+            this.recordResult(state.winner, state.winKinds);
         } else if (state.state === GAME_STATE.DRAW) {
-            this.hud.showDraw();
+            const deadPosition = state.resultReason === RESULT_REASON.DEAD_POSITION;
+            this.hud.showDraw(
+                state.resultReason === RESULT_REASON.AGREEMENT,
+                deadPosition ? `Nobody can connect ${this.rules.winLength} any more, so the game ends early` : null
+            );
+            
+            // A board turn that gives several players a line draws the game; show every line
+            this.highlightWinningTokens(state.winningPositions);
+            this.recordResult(null);
+        } else if (state.state === GAME_STATE.TIMEOUT) {
+            this.hud.showTimeout(state.timedOutName, state.winner, state.winnerName);
+            this.recordResult(state.winner);
+        } else if (state.state === GAME_STATE.EDITING) {
+            this.hud.showEditing();
+        } else if (state.state === GAME_STATE.REPLAY) {
+            this.hud.showReplay(state.replay, this.replayPlaying);
+            
+            // The winning line lights up again once the replay reaches the last move
+            if (state.replay.index === state.replay.length) {
+                this.highlightWinningTokens(state.winningPositions);
+            } else {
+                this.stopWinAnimations();
+            }
         } else if (state.state === GAME_STATE.PLAYING) {
             this.hud.setTurn(state.currentPlayer, state.currentPlayerName);
+            this.hud.setPowerUps(state.powerUps, state.currentPlayer);
+            this.hud.setRotations(state.rotations, state.currentPlayer, this.game.isCPUTurn());
             
-            // Trigger AI move if it's CPU's turn
-            if (this.game.isCPUTurn()) {
+            // Hold the game (and the clocks) until the last move has finished animating;
+            // play resumes from animate(), which reports the state again
+            if (performance.now() < this.animationEndsAt) {
+                this.game.setAnimating(true);
+            } else if (this.game.isCPUTurn()) {
+                // Trigger AI move if it's CPU's turn
                 this.makeAIMove();
             }
         }
     }
     
+    /**
+     * Describe the opening and the swap rule until the swap has been decided
+     * @param {Object} state - Game state info
+     * @returns {string|null} Text for the HUD, or null once play is under way
+     */
+    describeOpening(state) {
+        if (state.state !== GAME_STATE.PLAYING) {
+            return null;
+        }
+        
+        const swapTurn = this.game.getSwapTurn();
+        const parts = [];
+        
+        if (state.opening && state.moveCount <= Math.max(state.opening.length, swapTurn)) {
+            parts.push(`🎲 Opening (columns): ${[...state.opening].join(' ')}`);
+        }
+        if (state.moveCount < swapTurn) {
+            const [first, second] = this.game.getTurnOrder();
+            parts.push(`🔄 Swap rule: ${this.game.getPlayerName(second)} may take over ${this.game.getPlayerName(first)}'s next move`);
+        } else if (state.canSwap) {
+            parts.push(`🔄 ${state.currentPlayerName} may swap sides or play on`);
+        }
+        
+        return parts.length > 0 ? parts.join(' · ') : null;
+    }
+    
+    /**
+     * Score a finished game in the match, and announce the match winner once the series is decided
+     * @param {number|null} winner - Winning player, or null if nobody won
+     * @param {string[]} kinds - Kinds of the winning lines (see WIN_KIND)
+     */
+    recordResult(winner, kinds = []) {
+        // A finished game is reported once; later reports leave the score alone
+        this.match.finishGame(winner, kinds);
+        
+        const info = this.match.getInfo();
+        this.hud.setMatch(info);
+        if (info.over) {
+            this.hud.showMatchOver(info.winner, this.game.getPlayerName(info.winner), info);
+        }
+    }
+    
     /**
      * Make an AI move
      */
@@ -312,21 +671,34 @@ class Connect4App {
         
         // Disable hover/click during AI turn
         this.columnHighlight.visible = false;
-        this.previewTokens[PLAYER_1].visible = false;
-        this.previewTokens[PLAYER_2].visible = false;
+        this.hidePreviewTokens();
+        
+        // On a clock the CPU can't afford the full delay
+        const player = this.game.getCurrentPlayer();
+        const clocks = this.game.getClockTimes();
+        const delay = clocks ? Math.min(this.aiMoveDelay, clocks[player] / 40) : this.aiMoveDelay;
         
         // Add delay before AI makes its move (more human-like)
         setTimeout(() => {
             try {
-                // Get AI's best move
-                const col = this.ai.getBestMove(this.game.board);
+                // Get AI's best move, within its time on the clock
+                const clocksNow = this.game.getClockTimes();
+                const move = this.ai.getBestMove(this.game.board, {
+                    powerUps: this.game.powerUps,
+                    rotations: this.game.rotations,
+                    canSwap: this.game.canSwap(),
+                    player,
+                    timeLeft: clocksNow ? clocksNow[player] : undefined,
+                    increment: this.game.timeControl ? this.game.timeControl.increment : 0
+                });
                 
                 // Hide thinking indicator
                 this.hud.hideThinking();
                 
                 // Make the move
-                if (col >= 0 && this.game.isValidMove(col)) {
-                    this.game.makeMove(col);
+                // The seat may have been handed back to a human while the CPU was thinking
+                if (move && this.game.isCPUTurn() && this.game.isValidMove(move.col, move.type, { row: move.row })) {
+                    this.game.makeMove(move.col, move.type, { row: move.row });
                 }
             } catch (error) {
                 console.error('AI move error:', error);
@@ -334,7 +706,7 @@ class Connect4App {
             } finally {
                 this.aiThinking = false;
             }
-        }, this.aiMoveDelay);
+        }, delay);
     }
     
     /**
@@ -362,24 +734,656 @@ class Connect4App {
     onTokenPlaced(move) {
         const { row, col, player } = move;
         
-        // Get a token from the pool
-        const token = this.tokenPool.getToken(player);
+        // Special tokens get their own mesh, plain ones come from the pool
+        const special = move.type === MOVE_TYPE.WALL || move.type === MOVE_TYPE.DOUBLE ? move.type : null;
+        const token = special
+            ? createSpecialToken(player, special, this.themeManager)
+            : this.tokenPool.getToken(player);
         
         // Set start position (above board)
-        const startPos = getTokenStartPosition(col);
+        const startPos = this.getDropStartPosition(col);
         token.position.copy(startPos);
         
         // Add to scene
         this.scene.add(token);
-        this.placedTokens.push({ mesh: token, row, col, player });
+        const tokenData = { mesh: token, row, col, player, special, animation: null };
+        this.placedTokens.push(tokenData);
         
         // Animate to final position with bounce effect
-        const endPos = getTokenPosition(row, col);
-        animatePosition(token, endPos, 600, Easing.easeOutBounce);
+        const endPos = this.getCellPosition(row, col);
+        tokenData.animation = animatePosition(token, endPos, 600, Easing.easeOutBounce);
+        this.holdForAnimation(600);
+    }
+    
+    /**
+     * Hold the next move until an animation that has just started is over
+     * @param {number} duration - Animation length in ms
+     */
+    holdForAnimation(duration) {
+        this.animationEndsAt = Math.max(this.animationEndsAt, performance.now() + duration);
+    }
+    
+    /**
+     * Handle a token being popped out of the bottom of a column (PopOut)
+     */
+    onTokenPopped(move) {
+        const { col } = move;
+        
+        // The popped token falls out under the base
+        const poppedIndex = this.placedTokens.findIndex(t => t.row === 0 && t.col === col);
+        if (poppedIndex > -1) {
+            const popped = this.placedTokens[poppedIndex];
+            this.placedTokens.splice(poppedIndex, 1);
+            
+            const exitPos = popped.mesh.position.clone();
+            exitPos.y = -2;
+            animatePosition(popped.mesh, exitPos, 400, Easing.easeInQuad, () => {
+                this.removeTokenMesh(popped);
+            });
+        }
+        
+        // The rest of the column slides down one row
+        this.slideColumnDown(col, 0);
+        this.holdForAnimation(500);
+    }
+    
+    /**
+     * Slide the tokens above a removed cell down one row
+     * @param {number} col - Column index
+     * @param {number} removedRow - Row of the token that was removed
+     * @param {number} delay - Delay in ms before the tokens start to move
+     */
+    slideColumnDown(col, removedRow, delay = 0) {
+        for (const tokenData of this.placedTokens) {
+            if (tokenData.col === col && tokenData.row > removedRow) {
+                // Update the logical row right away so later moves see the new layout
+                tokenData.row--;
+                const endPos = this.getCellPosition(tokenData.row, col);
+                setTimeout(() => {
+                    animatePosition(tokenData.mesh, endPos, 500, Easing.easeOutBounce);
+                }, delay);
+            }
+        }
+    }
+    
+    /**
+     * Remove a placed token's mesh from the scene, returning pooled tokens to the pool
+     * @param {Object} tokenData - Entry from placedTokens
+     */
+    removeTokenMesh(tokenData) {
+        this.scene.remove(tokenData.mesh);
+        if (!tokenData.special) {
+            this.tokenPool.returnToken(tokenData.mesh);
+        }
+    }
+    
+    /**
+     * Handle an anvil or bomb changing the board (Power Up)
+     */
+    onPowerUpUsed(move) {
+        const { type, row, col, player } = move;
+        
+        if (type === MOVE_TYPE.ANVIL) {
+            // Everything in the column falls out under the base
+            for (const tokenData of this.placedTokens.filter(t => t.col === col)) {
+                this.placedTokens.splice(this.placedTokens.indexOf(tokenData), 1);
+                
+                const exitPos = tokenData.mesh.position.clone();
+                exitPos.y = -2;
+                animatePosition(tokenData.mesh, exitPos, 500, Easing.easeInQuad, () => {
+                    this.removeTokenMesh(tokenData);
+                });
+            }
+            
+            // The anvil crashes down to the bottom
+            const anvil = createSpecialToken(player, MOVE_TYPE.ANVIL, this.themeManager);
+            anvil.position.copy(this.getDropStartPosition(col));
+            this.scene.add(anvil);
+            this.placedTokens.push({ mesh: anvil, row, col, player, special: MOVE_TYPE.ANVIL });
+            animatePosition(anvil, this.getCellPosition(row, col), 500, Easing.easeInQuad);
+            this.holdForAnimation(500);
+        } else if (type === MOVE_TYPE.BOMB) {
+            const targetIndex = this.placedTokens.findIndex(t => t.row === row && t.col === col);
+            const target = targetIndex > -1 ? this.placedTokens.splice(targetIndex, 1)[0] : null;
+            
+            // Tokens above the target fall once the bomb has hit it
+            const flightTime = 400;
+            this.slideColumnDown(col, row, flightTime);
+            this.holdForAnimation(flightTime + 500);
+            
+            // The bomb flies in and takes the target token with it
+            const bomb = createBombMesh();
+            bomb.position.copy(this.getDropStartPosition(col));
+            bomb.position.z = 1;
+            this.scene.add(bomb);
+            
+            const targetPos = this.getCellPosition(row, col);
+            targetPos.z = 1;
+            animatePosition(bomb, targetPos, flightTime, Easing.easeInQuad, () => {
+                this.scene.remove(bomb);
+                if (target) {
+                    this.removeTokenMesh(target);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Turn the board for the human player (Gravity Flip)
+     * @param {string} type - MOVE_TYPE.ROTATE_LEFT or MOVE_TYPE.ROTATE_RIGHT
+     */
+    rotateBoard(type) {
+        const result = this.game.tryMove(-1, type, { player: this.getHumanPlayer() });
+        if (!result.success) {
+            this.showMoveRejection(result, -1);
+        }
+    }
+    
+    /**
+     * Swap sides for the human player (swap rule)
+     */
+    swapSides() {
+        const result = this.game.tryMove(-1, MOVE_TYPE.SWAP, { player: this.getHumanPlayer() });
+        if (!result.success) {
+            this.showMoveRejection(result, -1);
+        }
+    }
+    
+    /**
+     * Handle the players' tokens changing hands (swap rule): the tokens are redrawn in their new colors
+     */
+    onPlayersSwapped() {
+        this.syncTokens();
+    }
+    
+    /**
+     * Handle the board being turned (Gravity Flip): the board swings round a quarter turn
+     * with its tokens, then the tokens tumble down to their new cells
+     */
+    onBoardRotated(move) {
+        const clockwise = move.type === MOVE_TYPE.ROTATE_RIGHT;
+        const { base } = this.board.userData;
+        
+        // Turn about the middle of the board; the stand stays put
+        const pivot = new THREE.Group();
+        pivot.position.copy(this.getCellPosition((this.rules.rows - 1) / 2, (this.rules.cols - 1) / 2));
+        this.scene.add(pivot);
+        pivot.attach(this.board);
+        this.scene.attach(base);
+        
+        // Tokens keep their place in placedTokens but take their new cells straight away
+        const tokens = [];
+        for (const { from, turned, to } of move.tokens) {
+            const tokenData = this.placedTokens.find(t => t.row === from[0] && t.col === from[1]);
+            if (tokenData) {
+                tokens.push({ tokenData, turned, to, rotation: tokenData.mesh.rotation.clone() });
+            }
+        }
+        for (const { tokenData, to } of tokens) {
+            pivot.attach(tokenData.mesh);
+            tokenData.row = to[0];
+            tokenData.col = to[1];
+        }
+        
+        // The turn takes 500ms, then the tokens with furthest to fall land last
+        const longestFall = Math.max(0, ...tokens.map(({ turned, to }) => turned[0] - to[0]));
+        this.holdForAnimation(500 + 300 + 60 * longestFall);
+        
+        const finish = (tumble = true) => {
+            this.boardTurn = null;
+            
+            this.scene.attach(this.board);
+            this.board.position.set(0, 0, 0);
+            this.board.rotation.set(0, 0, 0);
+            this.board.attach(base);
+            
+            for (const { tokenData, turned, to, rotation } of tokens) {
+                const mesh = tokenData.mesh;
+                this.scene.attach(mesh);
+                mesh.rotation.copy(rotation);
+                mesh.position.copy(this.getCellPosition(turned[0], turned[1]));
+                
+                const endPos = this.getCellPosition(to[0], to[1]);
+                if (tumble) {
+                    animatePosition(mesh, endPos, 300 + 60 * (turned[0] - to[0]), Easing.easeOutBounce);
+                } else {
+                    mesh.position.copy(endPos);
+                }
+            }
+            
+            this.scene.remove(pivot);
+        };
+        
+        this.boardTurn = {
+            animation: animate({
+                from: 0,
+                to: clockwise ? -Math.PI / 2 : Math.PI / 2,
+                duration: 500,
+                easing: Easing.easeInOutQuad,
+                onUpdate: (angle) => {
+                    pivot.rotation.z = angle;
+                },
+                onComplete: finish
+            }),
+            finish
+        };
+    }
+    
+    /**
+     * Take back the last move (and the CPU's reply to it in CPU mode)
+     */
+    undoMove() {
+        if (!this.game.canUndo()) {
+            return;
+        }
+        
+        // Clear the result of a finished game before the board changes
+        if (this.game.gameState === GAME_STATE.WIN || this.game.gameState === GAME_STATE.DRAW) {
+            this.stopWinAnimations();
+            this.match.reopenGame();
+            this.hud.setMatch(this.match.getInfo());
+        }
+        if (this.game.gameState !== GAME_STATE.PLAYING) {
+            this.hud.reset();
+        }
+        
+        this.game.undo();
+        this.setHoveredColumn(this.hoveredColumn);
+    }
+    
+    /**
+     * Replay the last undone move (and the CPU's reply to it in CPU mode)
+     */
+    redoMove() {
+        this.game.redo();
+        this.setHoveredColumn(this.hoveredColumn);
+    }
+    
+    /**
+     * Get the human player who resigns or is asked about a draw: the player to move
+     * if that's a human, otherwise the first seat the CPU doesn't play
+     * @returns {number|null} Human player, or null if the CPU plays every seat
+     */
+    getHumanPlayer() {
+        const cpuPlayers = this.game.getCPUPlayers();
+        const current = this.game.getCurrentPlayer();
+        if (!cpuPlayers.includes(current)) {
+            return current;
+        }
+        return this.game.getPlayers().find(player => !cpuPlayers.includes(player)) ?? null;
+    }
+    
+    /**
+     * Resign the game for the human player, after asking for confirmation
+     */
+    resign() {
+        const player = this.getHumanPlayer();
+        if (player === null || !this.game.canResign()) {
+            return;
+        }
+        
+        this.hud.showConfirm(`Resign as ${this.game.getPlayerName(player)}?`, (confirmed) => {
+            if (confirmed) {
+                this.game.resign(player);
+            }
+        }, { yes: '🏳️ Resign', no: 'Keep playing' });
+    }
+    
+    /**
+     * Offer a draw for the player to move. The CPU answers from its own evaluation
+     * of the position; a human opponent is asked in a dialog.
+     */
+    offerDraw() {
+        const player = this.game.getCurrentPlayer();
+        if (this.game.isCPUTurn() || !this.game.offerDraw(player)) {
+            return;
+        }
+        
+        const opponent = this.game.getPlayers().find(p => p !== player);
+        if (this.game.getCPUPlayers().includes(opponent)) {
+            const accepted = this.ai.acceptsDraw(this.game.board, { player: opponent, toMove: player });
+            if (accepted) {
+                this.game.acceptDraw();
+            } else {
+                this.game.declineDraw();
+                this.hud.showNotice('🙅 The CPU declines the draw');
+            }
+            return;
+        }
+        
+        const message = `${this.game.getPlayerName(player)} offers a draw. ${this.game.getPlayerName(opponent)}, do you accept?`;
+        this.hud.showConfirm(message, (accepted) => {
+            if (accepted) {
+                this.game.acceptDraw();
+            } else {
+                this.game.declineDraw();
+            }
+        }, { yes: '🤝 Accept', no: 'Decline' });
+    }
+    
+    /**
+     * Handle a move being taken back: a dropped token is lifted back out of its column,
+     * anything else is redrawn from the restored board
+     */
+    onMoveUndone(move) {
+        const { type, row, col } = move;
+        
+        if (type !== MOVE_TYPE.DROP && type !== MOVE_TYPE.WALL && type !== MOVE_TYPE.DOUBLE) {
+            this.syncTokens();
+            return;
+        }
+        
+        const index = this.placedTokens.findIndex(t => t.row === row && t.col === col);
+        if (index === -1) return;
+        
+        const [tokenData] = this.placedTokens.splice(index, 1);
+        if (tokenData.animation) tokenData.animation.stop(); // A replay can step back mid-drop
+        const retracting = { mesh: tokenData.mesh, animation: null };
+        retracting.animation = animatePosition(tokenData.mesh, this.getDropStartPosition(col), 400, Easing.easeInQuad, () => {
+            this.retractingTokens.splice(this.retractingTokens.indexOf(retracting), 1);
+            this.removeTokenMesh(tokenData);
+        });
+        this.retractingTokens.push(retracting);
+    }
+    
+    /**
+     * Watch the finished game again, playing from its first move
+     */
+    startReplay() {
+        this.replayPlaying = true;
+        this.nextReplayStepAt = performance.now() + this.replayStepTime / this.replaySpeed;
+        
+        if (!this.game.startReplay()) {
+            this.replayPlaying = false;
+        }
+    }
+    
+    /**
+     * Step through the replay by hand, which pauses it
+     * @param {string} step - 'start', 'back', 'forward' or 'end'
+     */
+    stepReplay(step) {
+        this.replayPlaying = false;
+        
+        if (step === 'forward' || step === 'back') {
+            this.game.stepReplay(step === 'forward');
+        } else {
+            this.game.seekReplay(step === 'start' ? 0 : Infinity);
+        }
+        this.updateReplayControls();
+    }
+    
+    /**
+     * Jump to a point in the replay from the scrubber, which pauses it
+     * @param {number} index - Moves played
+     */
+    seekReplay(index) {
+        this.replayPlaying = false;
+        this.game.seekReplay(index);
+    }
+    
+    /**
+     * Play or pause the replay; playing from the last move starts again from the beginning
+     */
+    toggleReplayPlayback() {
+        const { replay } = this.game.getStateInfo();
+        if (!replay) return;
+        
+        this.replayPlaying = !this.replayPlaying;
+        if (this.replayPlaying) {
+            this.nextReplayStepAt = performance.now();
+            if (replay.index === replay.length) {
+                this.game.seekReplay(0);
+                this.nextReplayStepAt += this.replayStepTime / this.replaySpeed;
+            }
+        }
+        this.updateReplayControls();
+    }
+    
+    /**
+     * Change the replay speed
+     * @param {number} speed - Playback speed (1 = normal)
+     */
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        this.nextReplayStepAt = Math.min(this.nextReplayStepAt, performance.now() + this.replayStepTime / speed);
+    }
+    
+    /**
+     * Leave the replay and go back to the finished game
+     */
+    stopReplay() {
+        this.replayPlaying = false;
+        this.game.stopReplay();
+    }
+    
+    /**
+     * Show where the replay is and whether it is playing
+     */
+    updateReplayControls() {
+        const { replay } = this.game.getStateInfo();
+        if (replay) {
+            this.hud.showReplay(replay, this.replayPlaying);
+        }
+    }
+    
+    /**
+     * Play the replay's next move when it is due, pausing after the last one
+     */
+    updateReplay() {
+        if (!this.replayPlaying || performance.now() < this.nextReplayStepAt) {
+            return;
+        }
+        
+        const { replay } = this.game.getStateInfo();
+        if (!replay) {
+            // The replay was left some other way (new game, editor, loaded moves)
+            this.replayPlaying = false;
+            return;
+        }
+        
+        this.nextReplayStepAt = performance.now() + this.replayStepTime / this.replaySpeed;
+        this.replayPlaying = replay.index + 1 < replay.length;
+        if (replay.index < replay.length) {
+            this.game.stepReplay(true);
+        } else {
+            this.updateReplayControls();
+        }
+    }
+    
+    /**
+     * Set up the position reached by a move string (see Game.loadFromMoves)
+     * @param {string} moveString - Column digits, e.g. '4453634'
+     */
+    loadMoves(moveString) {
+        const result = this.game.loadFromMoves(moveString);
+        
+        if (result.success) {
+            this.hud.setMoveStringError(null);
+            console.log('Loaded moves:', moveString);
+        } else {
+            this.hud.setMoveStringError(result.error);
+        }
+    }
+    
+    /**
+     * Put the game so far in the moves box as a move string, and on the clipboard
+     */
+    copyMoves() {
+        const moveString = this.game.toMoveString();
+        
+        if (moveString === null) {
+            this.hud.setMoveStringError('Only drops on boards up to 9 columns wide can be written as a move string');
+            return;
+        }
+        
+        this.hud.setMoveString(moveString);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(moveString).catch(error => console.log('Clipboard unavailable:', error));
+        }
+    }
+    
+    /**
+     * Download the game as a JSON game record (see GameRecord.js)
+     */
+    saveRecord() {
+        if (this.game.gameState === GAME_STATE.EDITING) {
+            this.hud.setRecordError('Finish editing the position before saving');
+            return;
+        }
+        
+        const savedAt = new Date();
+        const record = createRecord(this.game, { difficulty: this.aiDifficulty, savedAt });
+        const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `line4up-${savedAt.toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.hud.setRecordError(null);
+        console.log('Saved game record:', link.download);
+    }
+    
+    /**
+     * Open a game record file and rebuild the game and the board from it
+     * @param {File} file - JSON file picked in the HUD
+     */
+    loadRecord(file) {
+        file.text().then(text => {
+            const result = parseRecord(text);
+            if (!result.success) {
+                this.hud.setRecordError(`${file.name}: ${result.error}`);
+                return;
+            }
+            
+            this.hud.setRecordError(null);
+            this.applyRecord(result.record, result.game);
+            console.log('Loaded game record:', file.name);
+        }).catch(error => {
+            this.hud.setRecordError(`${file.name}: the file couldn't be read (${error.message})`);
+        });
+    }
+    
+    /**
+     * Switch to the rules, players and settings of a loaded record and take over its game
+     * @param {Object} record - Game record (see GameRecord.js)
+     * @param {Game} game - The record played back (see GameRecord.replayRecord)
+     */
+    applyRecord(record, game) {
+        this.setup = { ...record.rules };
+        
+        if (record.difficulty) {
+            this.aiDifficulty = record.difficulty;
+            this.ai.setDifficulty(record.difficulty);
+            this.hud.setActiveDifficulty(record.difficulty);
+        }
+        this.hud.setActiveMode(record.mode);
+        
+        const timeControl = Object.keys(TIME_CONTROLS).find(key => {
+            const control = TIME_CONTROLS[key];
+            return control && record.timeControl &&
+                   control.base === record.timeControl.base && control.increment === record.timeControl.increment;
+        });
+        this.game.setTimeControl(record.timeControl || null);
+        this.hud.setActiveTimeControl(timeControl || 'off');
+        
+        this.game.setCPUPlayers(game.cpuPlayers);
+        this.rebuildBoard();
+        
+        // A loaded game isn't part of the match
+        this.match.reset(this.match.bestOf, this.rules.players);
+        this.hud.setMatch(this.match.getInfo());
+        
+        this.ai.setRules(this.rules);
+        this.setMoveType(MOVE_TYPE.DROP);
+        this.hud.setVariant(this.rules.variant);
+        this.hud.setEditing(false);
+        this.game.loadGame(game);
+    }
+    
+    /**
+     * Redraw the board after a whole position was set up at once: tokens snap into place
+     */
+    onPositionLoaded() {
+        this.stopWinAnimations();
+        this.hud.reset();
+        this.syncTokens();
+    }
+    
+    /**
+     * Start setting up a position by hand from the current board
+     */
+    startEditing() {
+        this.stopWinAnimations();
+        this.hud.reset();
+        
+        this.game.startEditing();
+        this.editNextPlayer = null;
+        this.hud.setEditing(true, this.game.getPlayers());
+        this.hud.setEditorNextPlayer(this.game.getPlayerToMove());
+        this.syncTokens();
+    }
+    
+    /**
+     * Cycle a cell through empty and each player's token while editing
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    editCell(row, col) {
+        if (this.game.cycleCell(row, col) === null) {
+            return;
+        }
+        
+        this.syncTokens();
+        this.hud.setEditorErrors([]);
+        if (this.editNextPlayer === null) {
+            this.hud.setEditorNextPlayer(this.game.getPlayerToMove());
+        }
+    }
+    
+    /**
+     * Pick who moves first once editing is done (otherwise it follows from the token counts)
+     * @param {number} player - Player number
+     */
+    setEditNextPlayer(player) {
+        this.editNextPlayer = player;
+        this.hud.setEditorNextPlayer(player);
+    }
+    
+    /**
+     * Empty the board while editing
+     */
+    clearPosition() {
+        this.game.clearPosition();
+        this.syncTokens();
+        this.hud.setEditorErrors([]);
+        if (this.editNextPlayer === null) {
+            this.hud.setEditorNextPlayer(this.game.getPlayerToMove());
+        }
+    }
+    
+    /**
+     * Play on from the edited position, or list what's wrong with it
+     */
+    finishEditing() {
+        const nextPlayer = this.editNextPlayer === null ? undefined : this.editNextPlayer;
+        const result = this.game.finishEditing(nextPlayer);
+        
+        if (!result.valid) {
+            this.hud.setEditorErrors(result.errors);
+            return;
+        }
+        
+        this.hud.setEditing(false);
+        this.setHoveredColumn(this.hoveredColumn);
     }
     
     /**
-     * Highlight winning tokens
+     * Highlight winning tokens: every cell of every winning line, each pulsing once
+     * @param {Array|null} positions - [row, col] positions (see Game.winningPositions)
      */
     highlightWinningTokens(positions) {
         if (!positions) return;
@@ -422,9 +1426,27 @@ class Connect4App {
     }
     
     /**
-     * Restart the game
+     * Start a new match (the scores go back to zero) with its first game
      */
     restartGame() {
+        this.match.reset();
+        this.playNextGame();
+    }
+    
+    /**
+     * Play on after a finished game: the next game of the series, or a new match once it is decided
+     */
+    continueMatch() {
+        if (this.match.isOver()) {
+            this.match.reset();
+        }
+        this.playNextGame();
+    }
+    
+    /**
+     * Clear the board and start the next game of the match
+     */
+    playNextGame() {
         // Stop win animations
         this.stopWinAnimations();
         
@@ -438,11 +1460,162 @@ class Connect4App {
         // Reset HUD
         this.hud.reset();
         
-        // Reset scores
-        this.hud.resetScores();
-        
         // Start new game with current mode
-        this.game.startGame(this.game.gameMode);
+        this.startNewGame(this.game.gameMode);
+    }
+    
+    /**
+     * Start a new game under the current rules
+     * @param {string} mode - Game mode ('pvp' or 'cpu')
+     */
+    startNewGame(mode) {
+        this.ai.setRules(this.rules);
+        this.setMoveType(MOVE_TYPE.DROP);
+        this.hud.setVariant(this.rules.variant);
+        this.hud.setEditing(false);
+        this.game.startGame(mode, this.rules, this.match.startGame());
+        this.hud.setMatch(this.match.getInfo());
+        
+        // Show any tokens the variant starts with
+        this.syncTokens();
+    }
+    
+    /**
+     * Place token meshes for every occupied cell at their final positions,
+     * without drop animations (used for boards that don't start empty)
+     */
+    syncTokens() {
+        this.resetBoard();
+        
+        const board = this.game.board;
+        for (let row = 0; row < board.rows; row++) {
+            for (let col = 0; col < board.cols; col++) {
+                const player = board.getCell(row, col);
+                if (player === EMPTY) continue;
+                
+                const special = board.getSpecial(row, col);
+                const token = special
+                    ? createSpecialToken(player, special, this.themeManager)
+                    : this.tokenPool.getToken(player);
+                token.position.copy(this.getCellPosition(row, col));
+                
+                this.scene.add(token);
+                this.placedTokens.push({ mesh: token, row, col, player, special });
+            }
+        }
+    }
+    
+    /**
+     * Apply the setup picks from the HUD and start a fresh game under the new rules
+     */
+    applySetup() {
+        this.rebuildBoard();
+        
+        // Matches don't carry over between rule sets
+        this.match.reset(this.match.bestOf, this.rules.players);
+        
+        this.startNewGame(this.game.gameMode);
+    }
+    
+    /**
+     * Take the rules from the setup picks and build the 3D board for them
+     */
+    rebuildBoard() {
+        this.rules = createRules(this.setup);
+        
+        // Some variants come with their own board and win length
+        this.hud.setActiveBoardSize(this.rules.size);
+        this.hud.setActiveWinLength(this.rules.winLength);
+        this.hud.setWrap(this.rules.wrap);
+        this.hud.setEarlyDraw(this.rules.earlyDraw);
+        this.hud.setActivePlayerCount(this.rules.players);
+        this.hud.setOpeningRules(this.rules);
+        
+        this.stopWinAnimations();
+        
+        // Reset AI state
+        this.aiThinking = false;
+        this.hud.hideThinking();
+        
+        this.resetBoard();
+        this.buildBoard();
+        this.hud.reset();
+    }
+    
+    /**
+     * Change board size
+     * @param {string} size - Board size key (e.g. '7x6')
+     */
+    changeBoardSize(size) {
+        this.setup.size = size;
+        this.applySetup();
+        console.log('Board size set to:', size);
+    }
+    
+    /**
+     * Change the number of tokens in a row needed to win
+     * @param {number} winLength - Connect-N win length
+     */
+    changeWinLength(winLength) {
+        this.setup.winLength = winLength;
+        this.applySetup();
+        console.log('Win length set to:', this.rules.winLength);
+    }
+    
+    /**
+     * Change the rule variant
+     * @param {string} variant - Rule variant (see VARIANT)
+     */
+    changeVariant(variant) {
+        this.setup.variant = variant;
+        this.applySetup();
+        console.log('Variant set to:', variant);
+    }
+    
+    /**
+     * Switch the Cylinder rule on or off
+     * @param {boolean} wrap - Whether lines wrap from the last column to the first
+     */
+    changeWrap(wrap) {
+        this.setup.wrap = wrap;
+        this.applySetup();
+        console.log('Cylinder wrap:', this.rules.wrap ? 'on' : 'off');
+    }
+    
+    /**
+     * Switch early draws on or off: a game ends as a draw once nobody can connect any more
+     * @param {boolean} earlyDraw - Whether dead positions end the game
+     */
+    changeEarlyDraw(earlyDraw) {
+        this.setup.earlyDraw = earlyDraw;
+        this.applySetup();
+        console.log('Early draws:', this.rules.earlyDraw ? 'on' : 'off');
+    }
+    
+    /**
+     * Change the number of players
+     * @param {number} players - Number of players (2-4)
+     */
+    changePlayerCount(players) {
+        this.setup.players = players;
+        this.applySetup();
+        console.log('Players set to:', this.rules.players);
+    }
+    
+    /**
+     * Choose which seats the CPU plays; takes effect straight away
+     * @param {number[]} cpuPlayers - Players the CPU plays for
+     */
+    changeCPUPlayers(cpuPlayers) {
+        this.game.setCPUPlayers(cpuPlayers);
+        this.hud.setSeats(this.game.getPlayers(), this.game.getCPUPlayers());
+        
+        // Let the CPU take over if it now has the move
+        if (this.game.gameState === GAME_STATE.PLAYING) {
+            this.game.notifyStateChange();
+        }
+        this.setHoveredColumn(this.hoveredColumn);
+        console.log('CPU plays:', this.game.getCPUPlayers());
     }
     
     /**
@@ -461,29 +1634,86 @@ class Connect4App {
         this.resetBoard();
         this.hud.reset();
         
-        // Reset scores when changing game mode
-        this.hud.resetScores();
+        // Start a new match when changing game mode
+        this.match.reset();
         
-        this.game.startGame(gameMode);
+        this.startNewGame(gameMode);
+    }
+    
+    /**
+     * Switch the chess clock and start a fresh game with it
+     * @param {string} timeControl - Time control key (see TIME_CONTROLS)
+     */
+    changeTimeControl(timeControl) {
+        this.game.setTimeControl(TIME_CONTROLS[timeControl] || null);
+        console.log('Time control set to:', timeControl);
+        this.restartGame();
+    }
+    
+    /**
+     * Switch the swap rule and balanced openings on or off
+     * @param {Object} options - Opening rules {swap, openings}
+     */
+    changeOpeningRules({ swap, openings }) {
+        this.setup.swap = swap;
+        this.setup.openings = openings;
+        this.applySetup();
+        console.log('Swap rule:', this.rules.swap ? 'on' : 'off', '/ balanced openings:', this.rules.openings ? 'on' : 'off');
+    }
+    
+    /**
+     * Change the match length and start a new match
+     * @param {number|null} bestOf - Games in the series, or null for an open-ended run
+     */
+    changeMatchLength(bestOf) {
+        this.match.reset(bestOf);
+        console.log('Match length set to:', bestOf ? `best of ${bestOf}` : 'off');
+        this.playNextGame();
     }
     
     /**
      * Reset the visual board
      */
     resetBoard() {
-        // Remove all placed tokens from scene
+        // Put a board that is still turning back in place
+        if (this.boardTurn) {
+            this.boardTurn.animation.stop();
+            this.boardTurn.finish(false);
+        }
+        
+        // Remove all placed tokens from scene, stopping any still dropping so pooled meshes stay put
         for (const tokenData of this.placedTokens) {
+            if (tokenData.animation) tokenData.animation.stop();
             this.scene.remove(tokenData.mesh);
         }
         this.placedTokens = [];
         
+        // Drop tokens still being lifted out by an undo
+        for (const { mesh, animation } of this.retractingTokens) {
+            animation.stop();
+            this.scene.remove(mesh);
+        }
+        this.retractingTokens = [];
+        this.animationEndsAt = 0;
+        
         // Return all tokens to pool
         this.tokenPool.returnAllTokens();
         
         // Reset highlights
         this.columnHighlight.visible = false;
-        this.previewTokens[PLAYER_1].visible = false;
-        this.previewTokens[PLAYER_2].visible = false;
+        this.hidePreviewTokens();
+    }
+    
+    /**
+     * Resume play once move animations are over, check for a flag fall and redraw the clocks
+     */
+    updateClocks() {
+        if (this.game.gameState === GAME_STATE.ANIMATING && performance.now() >= this.animationEndsAt) {
+            this.game.setAnimating(false);
+        }
+        
+        this.game.checkClock();
+        this.hud.setClocks(this.game.getClockTimes(), this.game.getCurrentPlayer());
     }
     
     /**
@@ -499,6 +1729,62 @@ class Connect4App {
         this.renderer.setSize(width, height);
     }
     
+    /**
+     * Keep the ghost tokens beside a cylinder board in step with the edge tokens they mirror,
+     * so a line wrapping round the seam can be read straight across
+     */
+    updateGhostTokens() {
+        const { cols } = this.rules;
+        const mirrored = new Set();
+        
+        if (this.rules.wrap) {
+            for (const tokenData of this.placedTokens) {
+                // The first column shows again past the right edge, the last column before the left edge
+                if (tokenData.col !== 0 && tokenData.col !== cols - 1) continue;
+                
+                let ghost = this.ghostTokens.get(tokenData.mesh);
+                if (!ghost) {
+                    ghost = this.getGhostToken(tokenData.player);
+                    this.ghostTokens.set(tokenData.mesh, ghost);
+                }
+                
+                ghost.position.copy(tokenData.mesh.position);
+                ghost.position.x += (tokenData.col === 0 ? cols : -cols) * CELL_SIZE;
+                ghost.scale.copy(tokenData.mesh.scale);
+                mirrored.add(tokenData.mesh);
+            }
+        }
+        
+        // Put away ghosts whose token has left the board
+        for (const [mesh, ghost] of this.ghostTokens) {
+            if (!mirrored.has(mesh)) {
+                ghost.visible = false;
+                this.ghostPool.push(ghost);
+                this.ghostTokens.delete(mesh);
+            }
+        }
+    }
+    
+    /**
+     * Get a ghost token for a player, reusing a put-away one when possible
+     * @param {number} player - Player number
+     * @returns {THREE.Group} Visible ghost token
+     */
+    getGhostToken(player) {
+        const index = this.ghostPool.findIndex(ghost => ghost.userData.player === player);
+        let ghost;
+        if (index >= 0) {
+            ghost = this.ghostPool.splice(index, 1)[0];
+        } else {
+            // Ghosts look like the translucent preview token
+            ghost = createPreviewToken(player, this.themeManager);
+            this.scene.add(ghost);
+        }
+        
+        ghost.visible = true;
+        return ghost;
+    }
+    
     /**
      * Animation loop
      */
@@ -508,6 +1794,10 @@ class Connect4App {
         // Update controls (required for damping)
         this.controls.update();
         
+        this.updateGhostTokens();
+        this.updateClocks();
+        this.updateReplay();
+        
         // Render the scene
         this.renderer.render(this.scene, this.camera);
     }
@@ -1,8 +1,7 @@
 import * as THREE from 'three';
+import { createBoardConfig } from '../game/Board.js';
 
 // Board constants
-export const BOARD_ROWS = 6;
-export const BOARD_COLS = 7;
 export const CELL_SIZE = 1.0;
 export const BOARD_DEPTH = 0.5;
 export const HOLE_RADIUS = 0.4;
@@ -10,14 +9,16 @@ export const HOLE_RADIUS = 0.4;
 /**
  * Creates the 3D board mesh for Connect 4
  * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @param {Object} config - Board config {rows, cols, wrap}
  * @returns {THREE.Group} The board group containing all board meshes
  */
-export function createBoardMesh(themeManager = null) {
+export function createBoardMesh(themeManager = null, config = createBoardConfig()) {
     const boardGroup = new THREE.Group();
+    const { rows, cols } = config;
     
     // Board dimensions
-    const boardWidth = BOARD_COLS * CELL_SIZE;
-    const boardHeight = BOARD_ROWS * CELL_SIZE;
+    const boardWidth = cols * CELL_SIZE;
+    const boardHeight = rows * CELL_SIZE;
     
     // Create the main board frame
     const frameGeometry = new THREE.BoxGeometry(
@@ -56,16 +57,13 @@ export function createBoardMesh(themeManager = null) {
     });
     
     // Position holes in grid pattern
-    for (let row = 0; row < BOARD_ROWS; row++) {
-        for (let col = 0; col < BOARD_COLS; col++) {
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
             const hole = new THREE.Mesh(holeGeometry, holeMaterial);
             
             // Calculate position (centered grid)
-            const x = (col - (BOARD_COLS - 1) / 2) * CELL_SIZE;
-            const y = (row + 0.5) * CELL_SIZE + 0.2;
-            const z = BOARD_DEPTH / 2 + 0.01;  // Slightly in front of board
-            
-            hole.position.set(x, y, z);
+            hole.position.copy(gridToWorldPosition(row, col, config));
+            hole.position.z = BOARD_DEPTH / 2 + 0.01;  // Slightly in front of board
             boardGroup.add(hole);
             
             // Add hole on back side too
@@ -75,6 +73,24 @@ export function createBoardMesh(themeManager = null) {
         }
     }
     
+    // Cylinder: a ghost column on each side repeats the opposite edge column,
+    // so lines wrapping round the seam can be read straight across
+    if (config.wrap) {
+        const ghostGeometry = new THREE.BoxGeometry(CELL_SIZE, boardHeight + 0.4, BOARD_DEPTH);
+        const ghostMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.12,
+            depthWrite: false
+        });
+        
+        for (const col of [-1, cols]) {
+            const ghostColumn = new THREE.Mesh(ghostGeometry, ghostMaterial);
+            ghostColumn.position.set(columnToWorldX(col, config), boardHeight / 2 + 0.2, 0);
+            boardGroup.add(ghostColumn);
+        }
+    }
+    
     // Create the base/stand for the board
     const baseGeometry = new THREE.BoxGeometry(boardWidth + 1, 0.3, 1.5);
     const baseMaterial = new THREE.MeshStandardMaterial({
@@ -93,26 +109,48 @@ export function createBoardMesh(themeManager = null) {
     boardGroup.userData = {
         frame,
         base,
-        rows: BOARD_ROWS,
-        cols: BOARD_COLS,
+        rows,
+        cols,
         cellSize: CELL_SIZE
     };
     
     return boardGroup;
 }
 
+/**
+ * Get the horizontal world position of a column's center
+ * @param {number} col - Column index (0 = left)
+ * @param {Object} config - Board config {rows, cols}
+ * @returns {number} World x coordinate
+ */
+export function columnToWorldX(col, config) {
+    return (col - (config.cols - 1) / 2) * CELL_SIZE;
+}
+
 /**
  * Converts grid position to 3D world coordinates
  * @param {number} row - Row index (0 = bottom)
  * @param {number} col - Column index (0 = left)
+ * @param {Object} config - Board config {rows, cols}
  * @returns {THREE.Vector3} World position
  */
-export function gridToWorldPosition(row, col) {
-    const x = (col - (BOARD_COLS - 1) / 2) * CELL_SIZE;
+export function gridToWorldPosition(row, col, config) {
+    const x = columnToWorldX(col, config);
     const y = (row + 0.5) * CELL_SIZE + 0.2;
     const z = 0;
     
     return new THREE.Vector3(x, y, z);
 }
 
+/**
+ * Converts a world height to the nearest board row
+ * @param {number} y - World y coordinate
+ * @param {Object} config - Board config {rows, cols}
+ * @returns {number} Row index, clamped to the board
+ */
+export function worldYToRow(y, config) {
+    const row = Math.floor((y - 0.2) / CELL_SIZE);
+    return Math.max(0, Math.min(config.rows - 1, row));
+}
+
 export default createBoardMesh;
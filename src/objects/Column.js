@@ -1,21 +1,24 @@
 import * as THREE from 'three';
-import { BOARD_COLS, BOARD_ROWS, CELL_SIZE } from './BoardMesh.js';
+import { CELL_SIZE, columnToWorldX, gridToWorldPosition } from './BoardMesh.js';
+import { createBoardConfig } from '../game/Board.js';
+import { TOKEN_COLORS } from './Token.js';
 
 /**
  * Creates invisible column hit zones for interaction detection
+ * @param {Object} config - Board config {rows, cols}
  * @returns {THREE.Group} Group containing all column meshes
  */
-export function createColumnZones() {
+export function createColumnZones(config = createBoardConfig()) {
     const columnsGroup = new THREE.Group();
     
-    const columnHeight = BOARD_ROWS * CELL_SIZE + 0.4;
+    const columnHeight = config.rows * CELL_SIZE + 0.4;
     const columnWidth = CELL_SIZE * 0.95;
     const columnDepth = 1.0;
     
     // Create invisible box for each column
     const geometry = new THREE.BoxGeometry(columnWidth, columnHeight, columnDepth);
     
-    for (let col = 0; col < BOARD_COLS; col++) {
+    for (let col = 0; col < config.cols; col++) {
         // Invisible material (for raycasting)
         const material = new THREE.MeshBasicMaterial({
             transparent: true,
@@ -26,7 +29,7 @@ export function createColumnZones() {
         const columnMesh = new THREE.Mesh(geometry, material);
         
         // Position column
-        const x = (col - (BOARD_COLS - 1) / 2) * CELL_SIZE;
+        const x = columnToWorldX(col, config);
         const y = columnHeight / 2 + 0.2;
         
         columnMesh.position.set(x, y, 0);
@@ -49,13 +52,14 @@ export function createColumnZones() {
 
 /**
  * Creates a visual column highlight indicator (visible on both sides)
+ * The highlight is one cell tall and is stretched to the board height in setColumnHighlight
  * @param {ThemeManager} themeManager - Theme manager for color updates
  * @returns {THREE.Group} Highlight group with front and back
  */
 export function createColumnHighlight(themeManager = null) {
     const highlightGroup = new THREE.Group();
     
-    const columnHeight = BOARD_ROWS * CELL_SIZE;
+    const columnHeight = CELL_SIZE;
     const columnWidth = CELL_SIZE * 0.9;
     
     const geometry = new THREE.BoxGeometry(columnWidth, columnHeight, 0.1);
@@ -92,7 +96,7 @@ export function createColumnHighlight(themeManager = null) {
 
 /**
  * Creates a preview token that shows where the next token will drop
- * @param {number} player - Current player (1 or 2)
+ * @param {number} player - Current player (1-4)
  * @param {ThemeManager} themeManager - Theme manager for color updates
  * @returns {THREE.Group} Preview token group with front and back
  */
@@ -102,13 +106,8 @@ export function createPreviewToken(player, themeManager = null) {
     const geometry = new THREE.CylinderGeometry(0.38, 0.38, 0.25, 32);
     geometry.rotateX(Math.PI / 2);
     
-    const colors = {
-        1: 0xE63946,  // Red
-        2: 0xFFD60A   // Yellow
-    };
-    
     const material = new THREE.MeshStandardMaterial({
-        color: colors[player] || 0xffffff,
+        color: TOKEN_COLORS[player] || 0xffffff,
         transparent: true,
         opacity: 0.5,
         roughness: 0.3,
@@ -145,18 +144,20 @@ export function createPreviewToken(player, themeManager = null) {
  * Update column highlight position
  * @param {THREE.Group} highlight - Highlight group
  * @param {number} col - Column index to highlight
+ * @param {Object} config - Board config {rows, cols}
  */
-export function setColumnHighlight(highlight, col) {
-    if (col < 0 || col >= BOARD_COLS) {
+export function setColumnHighlight(highlight, col, config) {
+    if (col < 0 || col >= config.cols) {
         highlight.visible = false;
         return;
     }
     
-    const x = (col - (BOARD_COLS - 1) / 2) * CELL_SIZE;
-    const y = (BOARD_ROWS * CELL_SIZE) / 2 + 0.2;
+    const x = columnToWorldX(col, config);
+    const y = (config.rows * CELL_SIZE) / 2 + 0.2;
     
     highlight.position.x = x;
     highlight.position.y = y;
+    highlight.scale.y = config.rows;
     highlight.position.z = 0;  // Centered - group has front/back offsets
     highlight.visible = true;
 }
@@ -166,17 +167,15 @@ export function setColumnHighlight(highlight, col) {
  * @param {THREE.Group} preview - Preview token group
  * @param {number} col - Column index
  * @param {number} row - Target row (lowest available)
+ * @param {Object} config - Board config {rows, cols}
  */
-export function setPreviewPosition(preview, col, row) {
+export function setPreviewPosition(preview, col, row, config) {
     if (col < 0 || row < 0) {
         preview.visible = false;
         return;
     }
     
-    const x = (col - (BOARD_COLS - 1) / 2) * CELL_SIZE;
-    const y = (row + 0.5) * CELL_SIZE + 0.2;
-    
-    preview.position.set(x, y, 0);  // Centered - group has front/back offsets
+    preview.position.copy(gridToWorldPosition(row, col, config));  // Centered - group has front/back offsets
     preview.visible = true;
 }
 
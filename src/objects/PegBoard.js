@@ -0,0 +1,308 @@
+import * as THREE from 'three';
+import { createBoard3DConfig } from '../game/Board3D.js';
+import { TOKEN_COLORS } from './Token.js';
+
+// Peg board constants (Score Four)
+export const PEG_SPACING = 1.3;
+export const PEG_RADIUS = 0.08;
+export const BEAD_RADIUS = 0.42;
+export const BEAD_HEIGHT = 0.55;
+export const BASE_HEIGHT = 0.3;
+
+/**
+ * Creates the 3D peg board mesh for Score Four: a square base with a vertical peg per grid position
+ * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @param {Object} config - 3D board config {rows, cols, width, depth}
+ * @returns {THREE.Group} The board group containing the base and pegs
+ */
+export function createPegBoardMesh(themeManager = null, config = createBoard3DConfig()) {
+    const boardGroup = new THREE.Group();
+    const { rows, cols, width, depth } = config;
+    
+    // Base plate
+    const baseMaterial = new THREE.MeshStandardMaterial({
+        color: 0x0052CC,
+        roughness: 0.3,
+        metalness: 0.1,
+        emissive: 0x001a44,
+        emissiveIntensity: 0.1
+    });
+    
+    // Register with theme manager
+    if (themeManager) {
+        themeManager.registerBoardMaterial(baseMaterial);
+    }
+    
+    const baseGeometry = new THREE.BoxGeometry(width * PEG_SPACING + 0.4, BASE_HEIGHT, depth * PEG_SPACING + 0.4);
+    const base = new THREE.Mesh(baseGeometry, baseMaterial);
+    base.position.set(0, BASE_HEIGHT / 2, 0);
+    base.castShadow = true;
+    base.receiveShadow = true;
+    boardGroup.add(base);
+    
+    // Pegs, tall enough to hold a full stack of beads
+    const pegHeight = rows * BEAD_HEIGHT + 0.3;
+    const pegGeometry = new THREE.CylinderGeometry(PEG_RADIUS, PEG_RADIUS, pegHeight, 12);
+    const pegMaterial = new THREE.MeshStandardMaterial({
+        color: 0xd7dde8,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+    
+    for (let peg = 0; peg < cols; peg++) {
+        const pegMesh = new THREE.Mesh(pegGeometry, pegMaterial);
+        pegMesh.position.copy(pegToWorldPosition(peg, config));
+        pegMesh.position.y = BASE_HEIGHT + pegHeight / 2;
+        pegMesh.castShadow = true;
+        boardGroup.add(pegMesh);
+    }
+    
+    // Store references for later use
+    boardGroup.userData = {
+        base,
+        rows,
+        cols,
+        cellSize: PEG_SPACING
+    };
+    
+    return boardGroup;
+}
+
+/**
+ * Get the world position of the foot of a peg
+ * @param {number} peg - Peg index
+ * @param {Object} config - 3D board config {width, depth}
+ * @returns {THREE.Vector3} World position (y = 0)
+ */
+export function pegToWorldPosition(peg, config) {
+    const x = peg % config.width;
+    const z = Math.floor(peg / config.width);
+    
+    return new THREE.Vector3(
+        (x - (config.width - 1) / 2) * PEG_SPACING,
+        0,
+        (z - (config.depth - 1) / 2) * PEG_SPACING
+    );
+}
+
+/**
+ * Calculate the world position of a bead on a peg
+ * @param {number} row - Level (0 = bottom)
+ * @param {number} peg - Peg index
+ * @param {Object} config - 3D board config {width, depth}
+ * @returns {THREE.Vector3} World position
+ */
+export function getBeadPosition(row, peg, config) {
+    const position = pegToWorldPosition(peg, config);
+    position.y = BASE_HEIGHT + (row + 0.5) * BEAD_HEIGHT;
+    return position;
+}
+
+/**
+ * Convert a world Y coordinate to a level on the pegs
+ * @param {number} y - World Y coordinate
+ * @param {Object} config - 3D board config {rows}
+ * @returns {number} Level (clamped to the board)
+ */
+export function worldYToLevel(y, config) {
+    const level = Math.floor((y - BASE_HEIGHT) / BEAD_HEIGHT);
+    return Math.max(0, Math.min(config.rows - 1, level));
+}
+
+/**
+ * Get the starting position for the bead drop animation
+ * @param {number} peg - Peg index
+ * @param {Object} config - 3D board config {rows, width, depth}
+ * @returns {THREE.Vector3} Start position above the top of the peg
+ */
+export function getBeadStartPosition(peg, config) {
+    return getBeadPosition(config.rows + 1, peg, config);
+}
+
+/**
+ * Create a bead mesh for a player
+ * @param {number} player - Player number (1-4)
+ * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @returns {THREE.Group} Bead group
+ */
+export function createBead(player, themeManager = null) {
+    const beadGroup = new THREE.Group();
+    
+    // A squashed sphere with a hole through it for the peg
+    const geometry = new THREE.TorusGeometry(BEAD_RADIUS * 0.6, BEAD_RADIUS * 0.4, 16, 32);
+    geometry.rotateX(Math.PI / 2);
+    geometry.scale(1, 1.6, 1);
+    
+    const material = new THREE.MeshStandardMaterial({
+        color: TOKEN_COLORS[player] || 0xffffff,
+        roughness: 0.3,
+        metalness: 0.4,
+        emissive: TOKEN_COLORS[player] || 0xffffff,
+        emissiveIntensity: 0.1
+    });
+    
+    const bead = new THREE.Mesh(geometry, material);
+    bead.castShadow = true;
+    bead.receiveShadow = true;
+    beadGroup.add(bead);
+    
+    // Register with theme manager
+    if (themeManager) {
+        themeManager.registerTokenMaterials(player, [material]);
+    }
+    
+    beadGroup.userData = {
+        player,
+        isToken: true,
+        material: material
+    };
+    
+    // Same material shortcut as createToken
+    beadGroup.material = material;
+    
+    return beadGroup;
+}
+
+/**
+ * Creates invisible peg hit zones for raycast picking
+ * @param {Object} config - 3D board config {rows, cols, width, depth}
+ * @returns {THREE.Group} Group containing one zone per peg
+ */
+export function createPegZones(config = createBoard3DConfig()) {
+    const pegsGroup = new THREE.Group();
+    
+    const zoneHeight = config.rows * BEAD_HEIGHT + 0.4;
+    const geometry = new THREE.CylinderGeometry(PEG_SPACING * 0.45, PEG_SPACING * 0.45, zoneHeight, 16);
+    
+    for (let peg = 0; peg < config.cols; peg++) {
+        // Invisible material (for raycasting)
+        const material = new THREE.MeshBasicMaterial({
+            transparent: true,
+            opacity: 0,
+            side: THREE.DoubleSide
+        });
+        
+        const zone = new THREE.Mesh(geometry, material);
+        zone.position.copy(pegToWorldPosition(peg, config));
+        zone.position.y = BASE_HEIGHT + zoneHeight / 2;
+        
+        // Pegs stand in for columns
+        zone.userData = {
+            isColumn: true,
+            columnIndex: peg
+        };
+        
+        pegsGroup.add(zone);
+    }
+    
+    pegsGroup.userData = {
+        isColumnGroup: true
+    };
+    
+    return pegsGroup;
+}
+
+/**
+ * Creates a peg highlight: a translucent sleeve around the hovered peg
+ * The sleeve is one bead tall and is stretched to the peg height in setPegHighlight
+ * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @returns {THREE.Mesh} Highlight mesh
+ */
+export function createPegHighlight(themeManager = null) {
+    const geometry = new THREE.CylinderGeometry(BEAD_RADIUS + 0.05, BEAD_RADIUS + 0.05, BEAD_HEIGHT, 24, 1, true);
+    const material = new THREE.MeshBasicMaterial({
+        color: 0x4fc3f7,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    
+    // Register with theme manager
+    if (themeManager) {
+        themeManager.registerColumnHighlightMaterials([material]);
+    }
+    
+    const highlight = new THREE.Mesh(geometry, material);
+    highlight.visible = false;
+    highlight.userData = {
+        isHighlight: true
+    };
+    
+    return highlight;
+}
+
+/**
+ * Update peg highlight position
+ * @param {THREE.Mesh} highlight - Highlight mesh
+ * @param {number} peg - Peg index to highlight
+ * @param {Object} config - 3D board config {rows, cols, width, depth}
+ */
+export function setPegHighlight(highlight, peg, config) {
+    if (peg < 0 || peg >= config.cols) {
+        highlight.visible = false;
+        return;
+    }
+    
+    highlight.position.copy(pegToWorldPosition(peg, config));
+    highlight.position.y = BASE_HEIGHT + (config.rows * BEAD_HEIGHT) / 2;
+    highlight.scale.y = config.rows;
+    highlight.visible = true;
+}
+
+/**
+ * Creates a preview bead that shows where the next bead will land
+ * @param {number} player - Player number (1-4)
+ * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @returns {THREE.Group} Preview bead group
+ */
+export function createPreviewBead(player, themeManager = null) {
+    const previewGroup = new THREE.Group();
+    
+    const geometry = new THREE.TorusGeometry(BEAD_RADIUS * 0.6, BEAD_RADIUS * 0.4, 16, 32);
+    geometry.rotateX(Math.PI / 2);
+    geometry.scale(1, 1.6, 1);
+    
+    const material = new THREE.MeshStandardMaterial({
+        color: TOKEN_COLORS[player] || 0xffffff,
+        transparent: true,
+        opacity: 0.5,
+        roughness: 0.3,
+        metalness: 0.4
+    });
+    
+    previewGroup.add(new THREE.Mesh(geometry, material));
+    
+    // Register with theme manager
+    if (themeManager) {
+        themeManager.registerPreviewMaterials(player, [material]);
+    }
+    
+    previewGroup.visible = false;
+    
+    previewGroup.userData = {
+        isPreview: true,
+        player
+    };
+    
+    return previewGroup;
+}
+
+/**
+ * Update preview bead position
+ * @param {THREE.Group} preview - Preview bead group
+ * @param {number} peg - Peg index
+ * @param {number} row - Target level (lowest free)
+ * @param {Object} config - 3D board config {width, depth}
+ */
+export function setPreviewBeadPosition(preview, peg, row, config) {
+    if (peg < 0 || row < 0) {
+        preview.visible = false;
+        return;
+    }
+    
+    preview.position.copy(getBeadPosition(row, peg, config));
+    preview.visible = true;
+}
+
+export default createPegBoardMesh;
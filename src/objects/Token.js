@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { PLAYER_1, PLAYER_2 } from '../game/Board.js';
-import { CELL_SIZE, BOARD_ROWS } from './BoardMesh.js';
+import { PLAYER_1, PLAYER_2, PLAYER_3, PLAYER_4, SPECIAL_TOKEN, createBoardConfig, getPlayers } from '../game/Board.js';
+import { CELL_SIZE, columnToWorldX, gridToWorldPosition } from './BoardMesh.js';
 
 // Token dimensions
 export const TOKEN_RADIUS = 0.38;
@@ -10,12 +10,14 @@ export const TOKEN_SEGMENTS = 32;
 // Token colors
 export const TOKEN_COLORS = {
     [PLAYER_1]: 0xE63946,  // Red
-    [PLAYER_2]: 0xFFD60A   // Yellow
+    [PLAYER_2]: 0xFFD60A,  // Yellow
+    [PLAYER_3]: 0x06D6A0,  // Green
+    [PLAYER_4]: 0x9D4EDD   // Purple
 };
 
 /**
  * Create a token mesh for a player
- * @param {number} player - Player number (1 or 2)
+ * @param {number} player - Player number (1-4)
  * @param {ThemeManager} themeManager - Theme manager for color updates
  * @returns {THREE.Group} Token group with front and back meshes
  */
@@ -73,35 +75,144 @@ export function createToken(player, themeManager = null) {
     return tokenGroup;
 }
 
+// Marker colors for special tokens (Power Up)
+export const SPECIAL_COLORS = {
+    [SPECIAL_TOKEN.ANVIL]: 0x5c6670,   // Steel
+    [SPECIAL_TOKEN.BOMB]: 0x1b1b1b,    // Black
+    [SPECIAL_TOKEN.WALL]: 0x9e9e9e,    // Stone
+    [SPECIAL_TOKEN.DOUBLE]: 0xffc107   // Gold
+};
+
+/**
+ * Create the marker shown on each face of a special token
+ * @param {string} kind - Special token kind (see SPECIAL_TOKEN)
+ * @returns {THREE.Group} Marker group, centered on the token face
+ */
+function createSpecialMarker(kind) {
+    const marker = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+        color: SPECIAL_COLORS[kind],
+        roughness: 0.4,
+        metalness: kind === SPECIAL_TOKEN.WALL ? 0.0 : 0.7
+    });
+    
+    if (kind === SPECIAL_TOKEN.ANVIL) {
+        // Anvil silhouette: wide face on a narrow waist and foot
+        const top = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.14, 0.06), material);
+        top.position.y = 0.1;
+        const waist = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.14, 0.06), material);
+        const foot = new THREE.Mesh(new THREE.BoxGeometry(0.34, 0.08, 0.06), material);
+        foot.position.y = -0.1;
+        marker.add(top, waist, foot);
+    } else if (kind === SPECIAL_TOKEN.WALL) {
+        // Two courses of bricks across the face
+        for (const y of [-0.08, 0.08]) {
+            const course = new THREE.Mesh(new THREE.BoxGeometry(0.56, 0.12, 0.06), material);
+            course.position.y = y;
+            marker.add(course);
+        }
+    } else if (kind === SPECIAL_TOKEN.DOUBLE) {
+        // Gold ring around the face
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(0.26, 0.04, 12, 32), material);
+        const dot = new THREE.Mesh(new THREE.CircleGeometry(0.08, 16), material);
+        marker.add(ring, dot);
+    }
+    
+    return marker;
+}
+
+/**
+ * Create a special token mesh for a player (Power Up): a normal token with a marker on each face
+ * @param {number} player - Player number (1-4)
+ * @param {string} kind - Special token kind (see SPECIAL_TOKEN)
+ * @param {ThemeManager} themeManager - Theme manager for color updates
+ * @returns {THREE.Group} Token group
+ */
+export function createSpecialToken(player, kind, themeManager = null) {
+    const tokenGroup = createToken(player, themeManager);
+    
+    const frontMarker = createSpecialMarker(kind);
+    frontMarker.position.z = 0.15 + TOKEN_HEIGHT / 2 + 0.02;
+    tokenGroup.add(frontMarker);
+    
+    const backMarker = createSpecialMarker(kind);
+    backMarker.position.z = -0.15 - TOKEN_HEIGHT / 2 - 0.02;
+    tokenGroup.add(backMarker);
+    
+    tokenGroup.userData.special = kind;
+    
+    return tokenGroup;
+}
+
+/**
+ * Create a bomb mesh (Power Up); the bomb isn't placed, it only flies to its target
+ * @returns {THREE.Group} Bomb group
+ */
+export function createBombMesh() {
+    const bombGroup = new THREE.Group();
+    
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: SPECIAL_COLORS[SPECIAL_TOKEN.BOMB],
+        roughness: 0.5,
+        metalness: 0.6
+    });
+    const body = new THREE.Mesh(new THREE.SphereGeometry(0.32, 24, 16), bodyMaterial);
+    body.castShadow = true;
+    bombGroup.add(body);
+    
+    const fuseMaterial = new THREE.MeshStandardMaterial({
+        color: 0xff6d00,
+        emissive: 0xff6d00,
+        emissiveIntensity: 0.8
+    });
+    const fuse = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.18, 8), fuseMaterial);
+    fuse.position.y = 0.38;
+    bombGroup.add(fuse);
+    
+    bombGroup.userData = { isBomb: true };
+    
+    return bombGroup;
+}
+
 /**
  * Token pool for efficient object reuse
  */
 export class TokenPool {
-    constructor(themeManager = null) {
+    /**
+     * @param {ThemeManager} themeManager - Theme manager for color updates
+     * @param {Object} config - Board config {rows, cols} used to size the pool
+     * @param {Function} createMesh - Mesh factory (player, themeManager), e.g. createToken or createBead
+     */
+    constructor(themeManager = null, config = createBoardConfig(), createMesh = createToken) {
         this.tokens = [];
         this.activeTokens = [];
         this.themeManager = themeManager;
+        this.createMesh = createMesh;
         
-        // Pre-create tokens for the pool (max 42 tokens = 6 rows * 7 cols)
-        this.initializePool();
+        // Pre-create enough tokens to fill the board (rows * cols)
+        this.initializePool(config);
     }
     
     /**
-     * Initialize the token pool with pre-created meshes
+     * Grow the pool with pre-created meshes so it can fill the given board
+     * @param {Object} config - Board config {rows, cols, players}
      */
-    initializePool() {
-        // Create 21 tokens for each player
-        for (let i = 0; i < 21; i++) {
-            this.tokens.push({
-                mesh: createToken(PLAYER_1, this.themeManager),
-                player: PLAYER_1,
-                inUse: false
-            });
-            this.tokens.push({
-                mesh: createToken(PLAYER_2, this.themeManager),
-                player: PLAYER_2,
-                inUse: false
-            });
+    initializePool(config) {
+        const players = getPlayers(config.players);
+        
+        // Each player places at most their share of the cells (rounded up)
+        const needed = Math.ceil((config.rows * config.cols) / players.length);
+        
+        for (const player of players) {
+            const existing = this.tokens.filter(tokenData => tokenData.player === player).length;
+            
+            for (let i = existing; i < needed; i++) {
+                this.tokens.push({
+                    mesh: this.createMesh(player, this.themeManager),
+                    player,
+                    inUse: false
+                });
+            }
         }
     }
     
@@ -122,7 +233,7 @@ export class TokenPool {
         // Fallback: create new token if pool exhausted
         console.warn('Token pool exhausted, creating new token');
         const newToken = {
-            mesh: createToken(player),
+            mesh: this.createMesh(player, this.themeManager),
             player,
             inUse: true
         };
@@ -171,24 +282,22 @@ export class TokenPool {
  * Calculate the 3D position for a token at given grid position
  * @param {number} row - Row index (0 = bottom)
  * @param {number} col - Column index
- * @returns {THREE.Vector3} World position
+ * @param {Object} config - Board config {rows, cols}
+ * @returns {THREE.Vector3} World position (centered - token group has front/back offsets)
  */
-export function getTokenPosition(row, col) {
-    const x = (col - 3) * CELL_SIZE;  // Center: col 3 is at x=0
-    const y = (row + 0.5) * CELL_SIZE + 0.2;  // +0.2 for board base offset
-    const z = 0;  // Centered - token group has front/back offsets
-    
-    return new THREE.Vector3(x, y, z);
+export function getTokenPosition(row, col, config) {
+    return gridToWorldPosition(row, col, config);
 }
 
 /**
  * Get the starting position for token drop animation
  * @param {number} col - Column index
+ * @param {Object} config - Board config {rows, cols}
  * @returns {THREE.Vector3} Start position above board
  */
-export function getTokenStartPosition(col) {
-    const x = (col - 3) * CELL_SIZE;
-    const y = (BOARD_ROWS + 1) * CELL_SIZE + 0.2;  // Above the board
+export function getTokenStartPosition(col, config) {
+    const x = columnToWorldX(col, config);
+    const y = (config.rows + 1) * CELL_SIZE + 0.2;  // Above the board
     const z = 0;  // Centered - token group has front/back offsets
     
     return new THREE.Vector3(x, y, z);
@@ -196,6 +305,8 @@ export function getTokenStartPosition(col) {
 
 export default {
     createToken,
+    createSpecialToken,
+    createBombMesh,
     TokenPool,
     getTokenPosition,
     getTokenStartPosition,
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { PEG_SPACING, BEAD_HEIGHT } from '../objects/PegBoard.js';
 
 /**
  * Creates and configures the perspective camera
@@ -22,4 +23,62 @@ export function createCamera(aspect) {
     return camera;
 }
 
+/**
+ * Frame the camera and orbit target around a board of the given size
+ * @param {THREE.PerspectiveCamera} camera - The camera to position
+ * @param {OrbitControls} controls - Orbit controls to retarget
+ * @param {Object} config - Board config {rows, cols, wrap}
+ */
+export function frameBoard(camera, controls, config) {
+    // A cylinder board has a ghost column on each side
+    const boardWidth = config.cols + (config.wrap ? 3 : 1);
+    const boardHeight = config.rows + 1;
+    // Aim slightly below the board center so the HUD doesn't cover the top row
+    const targetY = config.rows / 2 - 0.5;
+    
+    // Distance needed to fit the board vertically and horizontally
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    const fitHeight = boardHeight / (2 * Math.tan(halfFov));
+    const fitWidth = boardWidth / (2 * Math.tan(halfFov) * camera.aspect);
+    
+    // Leave room around the board for the HUD
+    const distance = Math.max(fitHeight, fitWidth) * 1.65;
+    
+    camera.position.set(0, targetY + 0.5, distance);
+    camera.lookAt(0, targetY, 0);
+    
+    if (controls) {
+        controls.target.set(0, targetY, 0);
+        controls.maxDistance = Math.max(20, distance * 2);
+        controls.update();
+    }
+}
+
+/**
+ * Frame the camera and orbit target around a 3D peg board, looking down at it from a corner
+ * @param {THREE.PerspectiveCamera} camera - The camera to position
+ * @param {OrbitControls} controls - Orbit controls to retarget
+ * @param {Object} config - 3D board config {rows, width, depth}
+ */
+export function framePegBoard(camera, controls, config) {
+    // The board's footprint diagonal is its widest extent from any angle
+    const span = Math.hypot(config.width, config.depth) * PEG_SPACING;
+    const targetY = (config.rows * BEAD_HEIGHT) / 2;
+    
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    const fitWidth = span / (2 * Math.tan(halfFov) * Math.min(camera.aspect, 1));
+    
+    // Leave room around the board for the HUD
+    const distance = fitWidth * 1.5;
+    
+    camera.position.set(distance * 0.45, targetY + distance * 0.55, distance * 0.7);
+    camera.lookAt(0, targetY, 0);
+    
+    if (controls) {
+        controls.target.set(0, targetY, 0);
+        controls.maxDistance = Math.max(20, distance * 2);
+        controls.update();
+    }
+}
+
 export default createCamera;
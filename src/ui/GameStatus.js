@@ -8,6 +8,8 @@ export const hudStyles = `
 :root {
     --theme-primary: #E63946;
     --theme-secondary: #FFD60A;
+    --theme-tertiary: #06D6A0;
+    --theme-quaternary: #9D4EDD;
     --theme-background: rgba(0, 0, 0, 0.4);
     --theme-text: #ffffff;
     --theme-accent: #4fc3f7;
@@ -138,6 +140,76 @@ export const hudStyles = `
     box-shadow: 0 0 10px rgba(244, 67, 54, 0.4);
 }
 
+/* Setup Panel */
+.hud-setup {
+    position: absolute;
+    top: 80px;
+    left: 30px;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+}
+
+.setup-row {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+}
+
+.setup-label {
+    color: rgba(255, 255, 255, 0.7);
+    font-size: 0.85rem;
+    min-width: 60px;
+}
+
+.setup-btn {
+    padding: 5px 12px;
+    font-size: 0.85rem;
+    border: 2px solid rgba(255, 255, 255, 0.2);
+    border-radius: 16px;
+    background: rgba(0, 0, 0, 0.3);
+    color: rgba(255, 255, 255, 0.7);
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.setup-btn:hover {
+    background: rgba(255, 255, 255, 0.15);
+    color: #ffffff;
+}
+
+.setup-btn.active {
+    background: rgba(79, 195, 247, 0.4);
+    border-color: #4fc3f7;
+    color: #ffffff;
+    box-shadow: 0 0 10px rgba(79, 195, 247, 0.4);
+}
+
+.move-string-input {
+    width: 130px;
+    padding: 5px 10px;
+    font-size: 0.85rem;
+    font-family: monospace;
+    border: 2px solid rgba(255, 255, 255, 0.2);
+    border-radius: 16px;
+    background: rgba(0, 0, 0, 0.3);
+    color: #ffffff;
+    outline: none;
+}
+
+.move-string-input:focus {
+    border-color: #4fc3f7;
+}
+
+.move-string-error,
+.record-error,
+.editor-error {
+    min-height: 1em;
+    padding-left: 66px;
+    color: #ff8a80;
+    font-size: 0.8rem;
+}
+
 /* Center Section */
 .hud-center {
     position: absolute;
@@ -148,6 +220,22 @@ export const hudStyles = `
     pointer-events: none;
 }
 
+/* Toast (e.g. why a move was refused) */
+.toast {
+    margin-top: 10px;
+    padding: 8px 20px;
+    background: rgba(183, 28, 28, 0.85);
+    border-radius: 20px;
+    color: white;
+    font-size: 1rem;
+    opacity: 0;
+    transition: opacity 0.3s ease;
+}
+
+.toast.visible {
+    opacity: 1;
+}
+
 /* Bottom Left Section - Turn Indicator */
 .hud-bottom-left {
     position: absolute;
@@ -155,6 +243,138 @@ export const hudStyles = `
     left: 20px;
 }
 
+/* Move Type Selector (PopOut) */
+.move-type-selector {
+    display: flex;
+    gap: 8px;
+    margin-bottom: 10px;
+}
+
+.move-type-btn {
+    padding: 8px 16px;
+    font-size: 0.9rem;
+    border: 2px solid rgba(255, 255, 255, 0.2);
+    border-radius: 20px;
+    background: rgba(0, 0, 0, 0.5);
+    color: rgba(255, 255, 255, 0.7);
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.move-type-btn:hover {
+    background: rgba(255, 255, 255, 0.15);
+    color: #ffffff;
+}
+
+.move-type-btn.active {
+    background: rgba(79, 195, 247, 0.4);
+    border-color: #4fc3f7;
+    color: #ffffff;
+    box-shadow: 0 0 10px rgba(79, 195, 247, 0.4);
+}
+
+/* Board Turns (Gravity Flip) */
+.rotate-controls {
+    gap: 8px;
+    margin-bottom: 10px;
+}
+
+.rotate-btn {
+    padding: 8px 16px;
+    font-size: 0.9rem;
+    border: 2px solid rgba(255, 255, 255, 0.2);
+    border-radius: 20px;
+    background: rgba(0, 0, 0, 0.5);
+    color: rgba(255, 255, 255, 0.7);
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.rotate-btn:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.15);
+    color: #ffffff;
+}
+
+.rotate-btn:disabled {
+    opacity: 0.35;
+    cursor: default;
+}
+
+/* Swap Rule and Opening */
+.swap-btn {
+    padding: 8px 16px;
+    margin-bottom: 10px;
+    font-size: 0.9rem;
+    border: 2px solid #4fc3f7;
+    border-radius: 20px;
+    background: rgba(79, 195, 247, 0.25);
+    color: #ffffff;
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.swap-btn:hover {
+    background: rgba(79, 195, 247, 0.45);
+    box-shadow: 0 0 10px rgba(79, 195, 247, 0.4);
+}
+
+.opening-info {
+    max-width: 320px;
+    margin-bottom: 10px;
+    padding: 8px 16px;
+    font-size: 0.85rem;
+    color: rgba(255, 255, 255, 0.85);
+    background: rgba(0, 0, 0, 0.5);
+    border-radius: 16px;
+}
+
+/* Power-Up Inventory */
+.power-up-panel {
+    flex-direction: column;
+    gap: 6px;
+    margin-bottom: 10px;
+}
+
+.power-up-row {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 6px 12px;
+    background: rgba(0, 0, 0, 0.5);
+    border-radius: 20px;
+}
+
+.power-up-btn {
+    width: 36px;
+    height: 36px;
+    font-size: 1rem;
+    border: 2px solid rgba(255, 255, 255, 0.2);
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.1);
+    color: #ffffff;
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.power-up-btn:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.25);
+}
+
+.power-up-btn:disabled {
+    cursor: default;
+    opacity: 0.6;
+}
+
+.power-up-btn.used {
+    opacity: 0.2;
+    text-decoration: line-through;
+}
+
+.power-up-btn.active {
+    border-color: #ffc107;
+    box-shadow: 0 0 12px rgba(255, 193, 7, 0.6);
+}
+
 /* Turn Indicator */
 .turn-indicator {
     display: flex;
@@ -179,6 +399,83 @@ export const hudStyles = `
     box-shadow: 0 0 20px rgba(255, 214, 10, 0.4);
 }
 
+.turn-indicator.player3-turn {
+    border-color: var(--theme-tertiary);
+    box-shadow: 0 0 20px rgba(6, 214, 160, 0.4);
+}
+
+.turn-indicator.player4-turn {
+    border-color: var(--theme-quaternary);
+    box-shadow: 0 0 20px rgba(157, 78, 221, 0.4);
+}
+
+.turn-indicator.editing {
+    border-color: #4fc3f7;
+    box-shadow: 0 0 20px rgba(79, 195, 247, 0.4);
+}
+
+.player-token.editing {
+    display: none;
+}
+
+.turn-indicator.replay {
+    border-color: #4fc3f7;
+    box-shadow: 0 0 20px rgba(79, 195, 247, 0.4);
+}
+
+.player-token.replay {
+    display: none;
+}
+
+.clock-display {
+    gap: 8px;
+    margin-left: 8px;
+}
+
+.clock {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 10px;
+    border: 2px solid transparent;
+    border-radius: 14px;
+    background: rgba(255, 255, 255, 0.08);
+    font-family: monospace;
+    font-size: 1rem;
+    color: rgba(255, 255, 255, 0.6);
+}
+
+.clock.active {
+    border-color: rgba(255, 255, 255, 0.5);
+    color: #ffffff;
+}
+
+.clock.low {
+    color: #ff8a80;
+}
+
+.clock-token {
+    width: 12px;
+    height: 12px;
+    border-radius: 50%;
+}
+
+.clock-token.player1 {
+    background: var(--theme-primary);
+}
+
+.clock-token.player2 {
+    background: var(--theme-secondary);
+}
+
+.clock-token.player3 {
+    background: var(--theme-tertiary);
+}
+
+.clock-token.player4 {
+    background: var(--theme-quaternary);
+}
+
 .player-token {
     width: 30px;
     height: 30px;
@@ -194,6 +491,14 @@ export const hudStyles = `
     background: radial-gradient(circle at 30% 30%, var(--theme-secondary), var(--theme-secondary));
 }
 
+.player-token.player3 {
+    background: radial-gradient(circle at 30% 30%, var(--theme-tertiary), var(--theme-tertiary));
+}
+
+.player-token.player4 {
+    background: radial-gradient(circle at 30% 30%, var(--theme-quaternary), var(--theme-quaternary));
+}
+
 .turn-text {
     font-size: 1.1rem;
     color: var(--theme-text);
@@ -208,6 +513,14 @@ export const hudStyles = `
     color: var(--theme-secondary);
 }
 
+.player3-turn .turn-text {
+    color: var(--theme-tertiary);
+}
+
+.player4-turn .turn-text {
+    color: var(--theme-quaternary);
+}
+
 /* Status Message */
 .status-message {
     font-size: 1.5rem;
@@ -236,12 +549,39 @@ export const hudStyles = `
     box-shadow: 0 0 30px rgba(255, 214, 10, 0.5);
 }
 
+.status-message.player3-win {
+    border: 2px solid #06D6A0;
+    box-shadow: 0 0 30px rgba(6, 214, 160, 0.5);
+}
+
+.status-message.player4-win {
+    border: 2px solid #9D4EDD;
+    box-shadow: 0 0 30px rgba(157, 78, 221, 0.5);
+}
+
+.status-message.match-over {
+    font-size: 1.8rem;
+}
+
 .status-message.draw {
+    flex-direction: column;
     background: rgba(0, 0, 0, 0.7);
     border: 2px solid #4fc3f7;
     box-shadow: 0 0 20px rgba(79, 195, 247, 0.4);
 }
 
+.status-detail {
+    margin-top: 6px;
+    font-size: 0.9rem;
+    color: rgba(255, 255, 255, 0.8);
+}
+
+.status-message.timeout {
+    background: rgba(0, 0, 0, 0.7);
+    border: 2px solid #ff8a80;
+    box-shadow: 0 0 20px rgba(255, 138, 128, 0.4);
+}
+
 .status-message.thinking {
     background: rgba(0, 0, 0, 0.5);
     font-size: 1rem;
@@ -345,6 +685,14 @@ export const hudStyles = `
     background: radial-gradient(circle at 30% 30%, var(--theme-secondary), var(--theme-secondary));
 }
 
+.score-token.player3 {
+    background: radial-gradient(circle at 30% 30%, var(--theme-tertiary), var(--theme-tertiary));
+}
+
+.score-token.player4 {
+    background: radial-gradient(circle at 30% 30%, var(--theme-quaternary), var(--theme-quaternary));
+}
+
 .score-label {
     color: rgba(255, 255, 255, 0.7);
     font-size: 0.9rem;
@@ -363,8 +711,16 @@ export const hudStyles = `
     font-size: 1.5rem;
 }
 
+.match-status {
+    color: rgba(255, 255, 255, 0.7);
+    font-size: 0.85rem;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+}
+
 /* Buttons */
-.restart-btn, .new-game-btn {
+.restart-btn, .new-game-btn, .replay-btn, .undo-btn, .redo-btn,
+.resign-btn, .draw-offer-btn, .confirm-yes-btn, .confirm-no-btn {
     padding: 12px 30px;
     font-size: 1.1rem;
     border: none;
@@ -396,6 +752,150 @@ export const hudStyles = `
     color: white;
 }
 
+.undo-controls {
+    display: flex;
+    gap: 10px;
+}
+
+.undo-btn, .redo-btn, .resign-btn, .draw-offer-btn {
+    padding: 12px 20px;
+    background: rgba(255, 255, 255, 0.1);
+    color: rgba(255, 255, 255, 0.8);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+
+.undo-btn:hover:not(:disabled), .redo-btn:hover:not(:disabled),
+.resign-btn:hover:not(:disabled), .draw-offer-btn:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.2);
+    color: white;
+}
+
+.undo-btn:disabled, .redo-btn:disabled,
+.resign-btn:disabled, .draw-offer-btn:disabled {
+    opacity: 0.4;
+    cursor: default;
+}
+
+/* Resign and draw offers */
+.game-actions {
+    display: flex;
+    gap: 10px;
+}
+
+.status-message.notice {
+    background: rgba(0, 0, 0, 0.5);
+    font-size: 1rem;
+}
+
+.confirm-dialog {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.5);
+    pointer-events: auto;
+    z-index: 200;
+}
+
+.confirm-box {
+    padding: 25px 35px;
+    background: rgba(20, 20, 40, 0.95);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 20px;
+    text-align: center;
+    color: white;
+}
+
+.confirm-message {
+    margin: 0 0 20px;
+    font-size: 1.2rem;
+}
+
+.confirm-buttons {
+    display: flex;
+    justify-content: center;
+    gap: 15px;
+}
+
+.confirm-yes-btn {
+    background: linear-gradient(135deg, #4fc3f7, #0288d1);
+    color: white;
+}
+
+.confirm-no-btn {
+    background: rgba(255, 255, 255, 0.1);
+    color: rgba(255, 255, 255, 0.8);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+
+/* Replay */
+.replay-btn {
+    background: rgba(79, 195, 247, 0.25);
+    color: white;
+    border: 2px solid #4fc3f7;
+}
+
+.replay-btn:hover {
+    background: rgba(79, 195, 247, 0.45);
+    box-shadow: 0 0 10px rgba(79, 195, 247, 0.4);
+}
+
+.replay-controls {
+    align-items: center;
+    gap: 8px;
+    padding: 8px 16px;
+    background: rgba(0, 0, 0, 0.5);
+    border-radius: 30px;
+}
+
+.replay-step-btn, .replay-play-btn, .replay-exit-btn, .replay-speed-btn {
+    padding: 6px 10px;
+    font-size: 0.9rem;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 16px;
+    background: rgba(255, 255, 255, 0.1);
+    color: rgba(255, 255, 255, 0.8);
+    cursor: pointer;
+    transition: all 0.3s ease;
+}
+
+.replay-step-btn:hover:not(:disabled), .replay-play-btn:hover, .replay-exit-btn:hover, .replay-speed-btn:hover {
+    background: rgba(255, 255, 255, 0.2);
+    color: white;
+}
+
+.replay-step-btn:disabled {
+    opacity: 0.4;
+    cursor: default;
+}
+
+.replay-speed-btn.active {
+    background: rgba(79, 195, 247, 0.4);
+    border-color: #4fc3f7;
+    color: white;
+}
+
+.replay-speed-selector {
+    display: flex;
+    gap: 4px;
+}
+
+.replay-scrubber {
+    width: 160px;
+    accent-color: #4fc3f7;
+    cursor: pointer;
+}
+
+.replay-position {
+    min-width: 90px;
+    color: rgba(255, 255, 255, 0.8);
+    font-size: 0.85rem;
+    text-align: center;
+}
+
 /* Responsive */
 @media (max-width: 600px) {
     .game-title {
@@ -432,6 +932,16 @@ export const hudStyles = `
         gap: 6px;
     }
     
+    .hud-setup {
+        top: 60px;
+        left: 15px;
+    }
+    
+    .setup-btn {
+        padding: 4px 8px;
+        font-size: 0.75rem;
+    }
+    
     .theme-btn {
         padding: 8px 12px;
         font-size: 0.8rem;
@@ -3,6 +3,23 @@
  * Manages all UI overlay elements
  */
 
+// Clocks turn red, and show tenths, under this many ms
+const LOW_TIME = 10000;
+
+/**
+ * Format a clock time as m:ss, or s.t when time is low
+ * @param {number} ms - Time left in ms
+ * @returns {string} Clock text
+ */
+function formatClock(ms) {
+    if (ms < LOW_TIME) {
+        return (Math.floor(ms / 100) / 10).toFixed(1);
+    }
+    
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 export class HUD {
     constructor() {
         this.container = null;
@@ -13,15 +30,42 @@ export class HUD {
         this.modeSelector = null;
         this.difficultySelector = null;
         
-        this.scores = {
-            player1: 0,
-            player2: 0
-        };
-        
         this.onRestart = null;
+        this.onNextGame = null;
+        this.onUndo = null;
+        this.onRedo = null;
+        this.onResign = null;
+        this.onOfferDraw = null;
         this.onModeChange = null;
         this.onDifficultyChange = null;
         this.onThemeChange = null;
+        this.onBoardSizeChange = null;
+        this.onWinLengthChange = null;
+        this.onWrapChange = null;
+        this.onEarlyDrawChange = null;
+        this.onPlayerCountChange = null;
+        this.onCPUPlayersChange = null;
+        this.onTimeControlChange = null;
+        this.onMatchLengthChange = null;
+        this.onOpeningChange = null;
+        this.onSwap = null;
+        this.onReplayStart = null;
+        this.onReplayStep = null;
+        this.onReplayPlay = null;
+        this.onReplaySeek = null;
+        this.onReplaySpeedChange = null;
+        this.onReplayExit = null;
+        this.onVariantChange = null;
+        this.onMoveTypeChange = null;
+        this.onRotate = null;
+        this.onLoadMoves = null;
+        this.onCopyMoves = null;
+        this.onSaveRecord = null;
+        this.onLoadRecord = null;
+        this.onEditStart = null;
+        this.onEditNextPlayer = null;
+        this.onEditClear = null;
+        this.onEditDone = null;
         
         this.createElements();
     }
@@ -48,35 +92,226 @@ export class HUD {
                 </div>
             </div>
             
+            <div class="hud-setup">
+                <div class="setup-row size-selector">
+                    <span class="setup-label">Board:</span>
+                    <button class="setup-btn size-btn active" data-size="7x6">7×6</button>
+                    <button class="setup-btn size-btn" data-size="8x7">8×7</button>
+                    <button class="setup-btn size-btn" data-size="9x7">9×7</button>
+                    <button class="setup-btn size-btn" data-size="5x4">5×4</button>
+                </div>
+                <div class="setup-row win-length-selector">
+                    <span class="setup-label">Connect:</span>
+                    <button class="setup-btn win-length-btn" data-win-length="3">3</button>
+                    <button class="setup-btn win-length-btn active" data-win-length="4">4</button>
+                    <button class="setup-btn win-length-btn" data-win-length="5">5</button>
+                    <button class="setup-btn win-length-btn" data-win-length="6">6</button>
+                </div>
+                <div class="setup-row variant-selector">
+                    <span class="setup-label">Variant:</span>
+                    <button class="setup-btn variant-btn active" data-variant="classic">Classic</button>
+                    <button class="setup-btn variant-btn" data-variant="popout">PopOut</button>
+                    <button class="setup-btn variant-btn" data-variant="powerup">Power Up</button>
+                    <button class="setup-btn variant-btn" data-variant="fiveinarow">5-in-a-Row</button>
+                    <button class="setup-btn variant-btn" data-variant="scorefour">Score Four 3D</button>
+                    <button class="setup-btn variant-btn" data-variant="gravityflip">Gravity Flip</button>
+                </div>
+                <div class="setup-row player-count-selector">
+                    <span class="setup-label">Players:</span>
+                    <button class="setup-btn player-count-btn active" data-players="2">2</button>
+                    <button class="setup-btn player-count-btn" data-players="3">3</button>
+                    <button class="setup-btn player-count-btn" data-players="4">4</button>
+                </div>
+                <div class="setup-row cpu-seat-selector" style="display: none;">
+                    <span class="setup-label">CPU plays:</span>
+                    <button class="setup-btn cpu-seat-btn" data-player="1">Red</button>
+                    <button class="setup-btn cpu-seat-btn active" data-player="2">Yellow</button>
+                    <button class="setup-btn cpu-seat-btn" data-player="3">Green</button>
+                    <button class="setup-btn cpu-seat-btn" data-player="4">Purple</button>
+                </div>
+                <div class="setup-row wrap-selector">
+                    <span class="setup-label">Shape:</span>
+                    <button class="setup-btn wrap-btn active" data-wrap="off">Flat</button>
+                    <button class="setup-btn wrap-btn" data-wrap="on">Cylinder</button>
+                </div>
+                <div class="setup-row time-control-selector">
+                    <span class="setup-label">Clock:</span>
+                    <button class="setup-btn time-control-btn active" data-time-control="off">Off</button>
+                    <button class="setup-btn time-control-btn" data-time-control="1+0">1+0</button>
+                    <button class="setup-btn time-control-btn" data-time-control="3+2">3+2</button>
+                    <button class="setup-btn time-control-btn" data-time-control="5+3">5+3</button>
+                </div>
+                <div class="setup-row opening-selector">
+                    <span class="setup-label">Opening:</span>
+                    <button class="setup-btn opening-btn" data-opening="swap" title="The second player may take over the first move">Swap rule</button>
+                    <button class="setup-btn opening-btn" data-opening="openings" title="Start from a random balanced opening (classic 7×6, 2 players)">Balanced opening</button>
+                </div>
+                <div class="setup-row early-draw-selector">
+                    <span class="setup-label">Draws:</span>
+                    <button class="setup-btn early-draw-btn active" data-early-draw="off" title="Play on until the board is full">Full board</button>
+                    <button class="setup-btn early-draw-btn" data-early-draw="on" title="End the game as a draw once nobody can connect any more (not in PopOut, Power Up or Gravity Flip)">Early</button>
+                </div>
+                <div class="setup-row match-length-selector">
+                    <span class="setup-label">Match:</span>
+                    <button class="setup-btn match-length-btn active" data-best-of="off">Off</button>
+                    <button class="setup-btn match-length-btn" data-best-of="3">Best of 3</button>
+                    <button class="setup-btn match-length-btn" data-best-of="5">Best of 5</button>
+                    <button class="setup-btn match-length-btn" data-best-of="7">Best of 7</button>
+                </div>
+                <div class="setup-row move-string-row">
+                    <span class="setup-label">Moves:</span>
+                    <input class="move-string-input" type="text" inputmode="numeric" placeholder="e.g. 4453634" spellcheck="false">
+                    <button class="setup-btn move-string-load-btn" title="Set up the position from a column sequence">Load</button>
+                    <button class="setup-btn move-string-copy-btn" title="Copy this game as a column sequence">Copy</button>
+                </div>
+                <div class="move-string-error"></div>
+                <div class="setup-row record-row">
+                    <span class="setup-label">Record:</span>
+                    <button class="setup-btn record-save-btn" title="Download this game as a JSON game record">💾 Save</button>
+                    <button class="setup-btn record-load-btn" title="Open a saved game record">📂 Load</button>
+                    <input class="record-file-input" type="file" accept=".json,application/json" style="display: none;">
+                </div>
+                <div class="record-error"></div>
+                <div class="setup-row editor-row">
+                    <span class="setup-label">Editor:</span>
+                    <button class="setup-btn edit-btn" title="Set up a position by clicking cells">✏️ Edit position</button>
+                </div>
+                <div class="setup-row editor-controls" style="display: none;">
+                    <span class="setup-label">To move:</span>
+                    <button class="setup-btn next-player-btn active" data-player="1">Red</button>
+                    <button class="setup-btn next-player-btn" data-player="2">Yellow</button>
+                    <button class="setup-btn next-player-btn" data-player="3">Green</button>
+                    <button class="setup-btn next-player-btn" data-player="4">Purple</button>
+                    <button class="setup-btn editor-clear-btn" title="Empty the board">Clear</button>
+                    <button class="setup-btn editor-done-btn" title="Play on from this position">▶ Play</button>
+                </div>
+                <div class="editor-error"></div>
+            </div>
+            
             <div class="hud-center">
                 <div class="status-message"></div>
+                <div class="toast"></div>
             </div>
             
             <div class="hud-bottom-left">
+                <div class="power-up-panel" style="display: none;">
+                    <div class="power-up-row" data-player="1">
+                        <div class="score-token player1"></div>
+                        <button class="power-up-btn" data-player="1" data-move-type="anvil" title="Anvil: clears its column">🔨</button>
+                        <button class="power-up-btn" data-player="1" data-move-type="bomb" title="Bomb: removes an opponent token">💣</button>
+                        <button class="power-up-btn" data-player="1" data-move-type="wall" title="Wall: can't be used for a win">🧱</button>
+                        <button class="power-up-btn" data-player="1" data-move-type="x2" title="x2: take another turn">×2</button>
+                    </div>
+                    <div class="power-up-row" data-player="2">
+                        <div class="score-token player2"></div>
+                        <button class="power-up-btn" data-player="2" data-move-type="anvil" title="Anvil: clears its column">🔨</button>
+                        <button class="power-up-btn" data-player="2" data-move-type="bomb" title="Bomb: removes an opponent token">💣</button>
+                        <button class="power-up-btn" data-player="2" data-move-type="wall" title="Wall: can't be used for a win">🧱</button>
+                        <button class="power-up-btn" data-player="2" data-move-type="x2" title="x2: take another turn">×2</button>
+                    </div>
+                    <div class="power-up-row" data-player="3">
+                        <div class="score-token player3"></div>
+                        <button class="power-up-btn" data-player="3" data-move-type="anvil" title="Anvil: clears its column">🔨</button>
+                        <button class="power-up-btn" data-player="3" data-move-type="bomb" title="Bomb: removes an opponent token">💣</button>
+                        <button class="power-up-btn" data-player="3" data-move-type="wall" title="Wall: can't be used for a win">🧱</button>
+                        <button class="power-up-btn" data-player="3" data-move-type="x2" title="x2: take another turn">×2</button>
+                    </div>
+                    <div class="power-up-row" data-player="4">
+                        <div class="score-token player4"></div>
+                        <button class="power-up-btn" data-player="4" data-move-type="anvil" title="Anvil: clears its column">🔨</button>
+                        <button class="power-up-btn" data-player="4" data-move-type="bomb" title="Bomb: removes an opponent token">💣</button>
+                        <button class="power-up-btn" data-player="4" data-move-type="wall" title="Wall: can't be used for a win">🧱</button>
+                        <button class="power-up-btn" data-player="4" data-move-type="x2" title="x2: take another turn">×2</button>
+                    </div>
+                </div>
+                <div class="move-type-selector" style="display: none;">
+                    <button class="move-type-btn active" data-move-type="drop">⬇️ Drop</button>
+                    <button class="move-type-btn" data-move-type="pop">⏏️ Pop</button>
+                </div>
+                <div class="rotate-controls" style="display: none;">
+                    <button class="rotate-btn" data-move-type="rotate-left" title="Turn the board a quarter turn anticlockwise (once per game)">⟲ Turn left</button>
+                    <button class="rotate-btn" data-move-type="rotate-right" title="Turn the board a quarter turn clockwise (once per game)">⟳ Turn right</button>
+                </div>
+                <button class="swap-btn" style="display: none;" title="Take over the first player's position; the other player moves next">🔄 Swap sides</button>
+                <div class="opening-info" style="display: none;"></div>
                 <div class="turn-indicator player1-turn">
                     <div class="player-token player1"></div>
                     <span class="turn-text">Player 1's Turn</span>
+                    <div class="clock-display" style="display: none;">
+                        <div class="clock" data-player="1"><div class="clock-token player1"></div><span class="clock-time">0:00</span></div>
+                        <div class="clock" data-player="2"><div class="clock-token player2"></div><span class="clock-time">0:00</span></div>
+                        <div class="clock" data-player="3"><div class="clock-token player3"></div><span class="clock-time">0:00</span></div>
+                        <div class="clock" data-player="4"><div class="clock-token player4"></div><span class="clock-time">0:00</span></div>
+                    </div>
                 </div>
             </div>
             
             <div class="hud-bottom">
                 <div class="score-display">
-                    <div class="score player1-score">
+                    <span class="match-status" style="display: none;"></span>
+                    <div class="score player1-score" data-player="1">
                         <div class="score-token player1"></div>
                         <span class="score-label">Player 1</span>
                         <span class="score-value">0</span>
                     </div>
                     <div class="score-divider">-</div>
-                    <div class="score player2-score">
+                    <div class="score player2-score" data-player="2">
                         <span class="score-value">0</span>
                         <span class="score-label">Player 2</span>
                         <div class="score-token player2"></div>
                     </div>
+                    <div class="score-divider" data-player="3" style="display: none;">-</div>
+                    <div class="score player3-score" data-player="3" style="display: none;">
+                        <div class="score-token player3"></div>
+                        <span class="score-label">Player 3</span>
+                        <span class="score-value">0</span>
+                    </div>
+                    <div class="score-divider" data-player="4" style="display: none;">-</div>
+                    <div class="score player4-score" data-player="4" style="display: none;">
+                        <div class="score-token player4"></div>
+                        <span class="score-label">Player 4</span>
+                        <span class="score-value">0</span>
+                    </div>
                 </div>
                 <button class="restart-btn" style="display: none;">🔄 Play Again</button>
+                <button class="replay-btn" style="display: none;" title="Watch the game again move by move">🎬 Replay</button>
+                <div class="replay-controls" style="display: none;">
+                    <button class="replay-step-btn" data-step="start" title="Back to the start">⏮</button>
+                    <button class="replay-step-btn" data-step="back" title="Step back">◀</button>
+                    <button class="replay-play-btn" title="Play or pause">▶️</button>
+                    <button class="replay-step-btn" data-step="forward" title="Step forward">▶</button>
+                    <button class="replay-step-btn" data-step="end" title="Skip to the end">⏭</button>
+                    <input class="replay-scrubber" type="range" min="0" max="0" value="0">
+                    <span class="replay-position">Move 0 / 0</span>
+                    <div class="replay-speed-selector">
+                        <button class="replay-speed-btn" data-speed="0.5">½×</button>
+                        <button class="replay-speed-btn active" data-speed="1">1×</button>
+                        <button class="replay-speed-btn" data-speed="2">2×</button>
+                        <button class="replay-speed-btn" data-speed="4">4×</button>
+                    </div>
+                    <button class="replay-exit-btn" title="Back to the finished game">✕</button>
+                </div>
+                <div class="undo-controls">
+                    <button class="undo-btn" title="Take back the last move" disabled>↩️ Undo</button>
+                    <button class="redo-btn" title="Play the undone move again" disabled>↪️ Redo</button>
+                </div>
+                <div class="game-actions">
+                    <button class="resign-btn" title="Give up this game" disabled>🏳️ Resign</button>
+                    <button class="draw-offer-btn" title="Offer your opponent a draw" disabled>🤝 Offer draw</button>
+                </div>
                 <button class="new-game-btn">🎮 New Game</button>
             </div>
             
+            <div class="confirm-dialog" style="display: none;">
+                <div class="confirm-box">
+                    <p class="confirm-message"></p>
+                    <div class="confirm-buttons">
+                        <button class="confirm-yes-btn">Yes</button>
+                        <button class="confirm-no-btn">No</button>
+                    </div>
+                </div>
+            </div>
+            
             <div class="hud-bottom-right">
                 <div class="theme-selector">
                     <button class="theme-btn active" data-theme="classic">🎯 Classic</button>
@@ -92,15 +327,70 @@ export class HUD {
         this.turnText = this.container.querySelector('.turn-text');
         this.turnToken = this.container.querySelector('.turn-indicator .player-token');
         this.statusMessage = this.container.querySelector('.status-message');
+        this.toast = this.container.querySelector('.toast');
+        this.toastTimer = null; // Hides the toast
         this.restartButton = this.container.querySelector('.restart-btn');
         this.newGameButton = this.container.querySelector('.new-game-btn');
-        this.player1Score = this.container.querySelector('.player1-score .score-value');
-        this.player2Score = this.container.querySelector('.player2-score .score-value');
-        this.player2Label = this.container.querySelector('.player2-score .score-label');
+        this.replayButton = this.container.querySelector('.replay-btn');
+        this.replayControls = this.container.querySelector('.replay-controls');
+        this.replayStepButtons = this.container.querySelectorAll('.replay-step-btn');
+        this.replayPlayButton = this.container.querySelector('.replay-play-btn');
+        this.replayScrubber = this.container.querySelector('.replay-scrubber');
+        this.replayPosition = this.container.querySelector('.replay-position');
+        this.replaySpeedButtons = this.container.querySelectorAll('.replay-speed-btn');
+        this.replayExitButton = this.container.querySelector('.replay-exit-btn');
+        this.undoButton = this.container.querySelector('.undo-btn');
+        this.redoButton = this.container.querySelector('.redo-btn');
+        this.resignButton = this.container.querySelector('.resign-btn');
+        this.drawOfferButton = this.container.querySelector('.draw-offer-btn');
+        this.confirmDialog = this.container.querySelector('.confirm-dialog');
+        this.confirmMessage = this.container.querySelector('.confirm-message');
+        this.confirmYesButton = this.container.querySelector('.confirm-yes-btn');
+        this.confirmNoButton = this.container.querySelector('.confirm-no-btn');
+        this.onConfirmAnswer = null; // Answer callback of the open confirmation dialog
+        this.scoreDisplay = this.container.querySelector('.score-display');
+        this.scoreEntries = this.container.querySelectorAll('.score-display [data-player]');
         this.modeButtons = this.container.querySelectorAll('.mode-btn');
         this.difficultySelector = this.container.querySelector('.difficulty-selector');
         this.difficultyButtons = this.container.querySelectorAll('.diff-btn');
         this.themeButtons = this.container.querySelectorAll('.theme-btn');
+        this.sizeButtons = this.container.querySelectorAll('.size-btn');
+        this.winLengthButtons = this.container.querySelectorAll('.win-length-btn');
+        this.variantButtons = this.container.querySelectorAll('.variant-btn');
+        this.wrapButtons = this.container.querySelectorAll('.wrap-btn');
+        this.earlyDrawButtons = this.container.querySelectorAll('.early-draw-btn');
+        this.playerCountButtons = this.container.querySelectorAll('.player-count-btn');
+        this.cpuSeatSelector = this.container.querySelector('.cpu-seat-selector');
+        this.cpuSeatButtons = this.container.querySelectorAll('.cpu-seat-btn');
+        this.timeControlButtons = this.container.querySelectorAll('.time-control-btn');
+        this.matchLengthButtons = this.container.querySelectorAll('.match-length-btn');
+        this.openingButtons = this.container.querySelectorAll('.opening-btn');
+        this.swapButton = this.container.querySelector('.swap-btn');
+        this.openingInfo = this.container.querySelector('.opening-info');
+        this.matchStatus = this.container.querySelector('.match-status');
+        this.clockDisplay = this.container.querySelector('.clock-display');
+        this.clockEntries = this.container.querySelectorAll('.clock');
+        this.powerUpRows = this.container.querySelectorAll('.power-up-row');
+        this.moveTypeSelector = this.container.querySelector('.move-type-selector');
+        this.moveTypeButtons = this.container.querySelectorAll('.move-type-btn');
+        this.powerUpPanel = this.container.querySelector('.power-up-panel');
+        this.powerUpButtons = this.container.querySelectorAll('.power-up-btn');
+        this.rotateControls = this.container.querySelector('.rotate-controls');
+        this.rotateButtons = this.container.querySelectorAll('.rotate-btn');
+        this.moveStringInput = this.container.querySelector('.move-string-input');
+        this.moveStringError = this.container.querySelector('.move-string-error');
+        this.moveStringLoadButton = this.container.querySelector('.move-string-load-btn');
+        this.moveStringCopyButton = this.container.querySelector('.move-string-copy-btn');
+        this.recordSaveButton = this.container.querySelector('.record-save-btn');
+        this.recordLoadButton = this.container.querySelector('.record-load-btn');
+        this.recordFileInput = this.container.querySelector('.record-file-input');
+        this.recordError = this.container.querySelector('.record-error');
+        this.editButton = this.container.querySelector('.edit-btn');
+        this.editorControls = this.container.querySelector('.editor-controls');
+        this.editorError = this.container.querySelector('.editor-error');
+        this.nextPlayerButtons = this.container.querySelectorAll('.next-player-btn');
+        this.editorClearButton = this.container.querySelector('.editor-clear-btn');
+        this.editorDoneButton = this.container.querySelector('.editor-done-btn');
         
         // Set up event listeners
         this.setupEventListeners();
@@ -111,13 +401,108 @@ export class HUD {
      */
     setupEventListeners() {
         this.restartButton.addEventListener('click', () => {
-            if (this.onRestart) this.onRestart();
+            if (this.onNextGame) this.onNextGame();
         });
         
         this.newGameButton.addEventListener('click', () => {
             if (this.onRestart) this.onRestart();
         });
         
+        this.replayButton.addEventListener('click', () => {
+            if (this.onReplayStart) this.onReplayStart();
+        });
+        
+        this.replayStepButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onReplayStep) this.onReplayStep(btn.dataset.step);
+            });
+        });
+        
+        this.replayPlayButton.addEventListener('click', () => {
+            if (this.onReplayPlay) this.onReplayPlay();
+        });
+        
+        this.replayScrubber.addEventListener('input', () => {
+            if (this.onReplaySeek) this.onReplaySeek(parseInt(this.replayScrubber.value, 10));
+        });
+        
+        this.replaySpeedButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const speed = parseFloat(btn.dataset.speed);
+                this.setReplaySpeed(speed);
+                if (this.onReplaySpeedChange) this.onReplaySpeedChange(speed);
+            });
+        });
+        
+        this.replayExitButton.addEventListener('click', () => {
+            if (this.onReplayExit) this.onReplayExit();
+        });
+        
+        this.moveStringLoadButton.addEventListener('click', () => {
+            if (this.onLoadMoves) this.onLoadMoves(this.moveStringInput.value);
+        });
+        
+        this.moveStringInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.onLoadMoves) this.onLoadMoves(this.moveStringInput.value);
+        });
+        
+        this.moveStringCopyButton.addEventListener('click', () => {
+            if (this.onCopyMoves) this.onCopyMoves();
+        });
+        
+        this.recordSaveButton.addEventListener('click', () => {
+            if (this.onSaveRecord) this.onSaveRecord();
+        });
+        
+        this.recordLoadButton.addEventListener('click', () => {
+            this.recordFileInput.click();
+        });
+        
+        this.recordFileInput.addEventListener('change', () => {
+            const [file] = this.recordFileInput.files;
+            
+            // Clear the input so picking the same file again still loads it
+            this.recordFileInput.value = '';
+            if (file && this.onLoadRecord) this.onLoadRecord(file);
+        });
+        
+        this.editButton.addEventListener('click', () => {
+            if (this.onEditStart) this.onEditStart();
+        });
+        
+        this.nextPlayerButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onEditNextPlayer) this.onEditNextPlayer(parseInt(btn.dataset.player, 10));
+            });
+        });
+        
+        this.editorClearButton.addEventListener('click', () => {
+            if (this.onEditClear) this.onEditClear();
+        });
+        
+        this.editorDoneButton.addEventListener('click', () => {
+            if (this.onEditDone) this.onEditDone();
+        });
+        
+        this.undoButton.addEventListener('click', () => {
+            if (this.onUndo) this.onUndo();
+        });
+        
+        this.redoButton.addEventListener('click', () => {
+            if (this.onRedo) this.onRedo();
+        });
+        
+        this.resignButton.addEventListener('click', () => {
+            if (this.onResign) this.onResign();
+        });
+        
+        this.drawOfferButton.addEventListener('click', () => {
+            if (this.onOfferDraw) this.onOfferDraw();
+        });
+        
+        this.confirmYesButton.addEventListener('click', () => this.answerConfirm(true));
+        this.confirmNoButton.addEventListener('click', () => this.answerConfirm(false));
+        
         this.modeButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const mode = e.target.dataset.mode;
@@ -141,6 +526,118 @@ export class HUD {
                 if (this.onThemeChange) this.onThemeChange(theme);
             });
         });
+        
+        this.sizeButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const size = e.target.dataset.size;
+                this.setActiveBoardSize(size);
+                if (this.onBoardSizeChange) this.onBoardSizeChange(size);
+            });
+        });
+        
+        this.winLengthButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const winLength = parseInt(e.target.dataset.winLength, 10);
+                this.setActiveWinLength(winLength);
+                if (this.onWinLengthChange) this.onWinLengthChange(winLength);
+            });
+        });
+        
+        this.variantButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const variant = e.target.dataset.variant;
+                this.setVariant(variant);
+                if (this.onVariantChange) this.onVariantChange(variant);
+            });
+        });
+        
+        this.playerCountButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const players = parseInt(e.target.dataset.players, 10);
+                this.setActivePlayerCount(players);
+                if (this.onPlayerCountChange) this.onPlayerCountChange(players);
+            });
+        });
+        
+        this.cpuSeatButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                btn.classList.toggle('active');
+                const cpuPlayers = [...this.cpuSeatButtons]
+                    .filter(seat => seat.classList.contains('active') && seat.style.display !== 'none')
+                    .map(seat => parseInt(seat.dataset.player, 10));
+                if (this.onCPUPlayersChange) this.onCPUPlayersChange(cpuPlayers);
+            });
+        });
+        
+        this.timeControlButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const timeControl = e.target.dataset.timeControl;
+                this.setActiveTimeControl(timeControl);
+                if (this.onTimeControlChange) this.onTimeControlChange(timeControl);
+            });
+        });
+        
+        this.openingButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                btn.classList.toggle('active');
+                const options = {};
+                this.openingButtons.forEach(option => {
+                    options[option.dataset.opening] = option.classList.contains('active');
+                });
+                if (this.onOpeningChange) this.onOpeningChange(options);
+            });
+        });
+        
+        this.swapButton.addEventListener('click', () => {
+            if (this.onSwap) this.onSwap();
+        });
+        
+        this.matchLengthButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const bestOf = e.target.dataset.bestOf === 'off' ? null : parseInt(e.target.dataset.bestOf, 10);
+                this.setActiveMatchLength(bestOf);
+                if (this.onMatchLengthChange) this.onMatchLengthChange(bestOf);
+            });
+        });
+        
+        this.wrapButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const wrap = e.target.dataset.wrap === 'on';
+                this.setWrap(wrap);
+                if (this.onWrapChange) this.onWrapChange(wrap);
+            });
+        });
+        
+        this.earlyDrawButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const earlyDraw = e.target.dataset.earlyDraw === 'on';
+                this.setEarlyDraw(earlyDraw);
+                if (this.onEarlyDrawChange) this.onEarlyDrawChange(earlyDraw);
+            });
+        });
+        
+        this.moveTypeButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const type = e.target.dataset.moveType;
+                this.setActiveMoveType(type);
+                if (this.onMoveTypeChange) this.onMoveTypeChange(type);
+            });
+        });
+        
+        this.rotateButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onRotate) this.onRotate(btn.dataset.moveType);
+            });
+        });
+        
+        this.powerUpButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                // Clicking the selected power-up again goes back to a normal drop
+                const type = btn.classList.contains('active') ? 'drop' : btn.dataset.moveType;
+                this.setActiveMoveType(type);
+                if (this.onMoveTypeChange) this.onMoveTypeChange(type);
+            });
+        });
     }
     
     /**
@@ -151,11 +648,9 @@ export class HUD {
             btn.classList.toggle('active', btn.dataset.mode === mode);
         });
         
-        // Update player 2 label
-        this.player2Label.textContent = mode === 'cpu' ? 'CPU' : 'Player 2';
-        
-        // Show/hide difficulty selector
+        // Show/hide difficulty and CPU seat selectors
         this.difficultySelector.style.display = mode === 'cpu' ? 'flex' : 'none';
+        this.cpuSeatSelector.style.display = mode === 'cpu' ? 'flex' : 'none';
     }
     
     /**
@@ -176,9 +671,240 @@ export class HUD {
         });
     }
     
+    /**
+     * Set the active board size button
+     */
+    setActiveBoardSize(size) {
+        this.sizeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.size === size);
+        });
+    }
+    
+    /**
+     * Set the active win length button
+     * @param {number} winLength - Connect-N win length
+     */
+    setActiveWinLength(winLength) {
+        this.winLengthButtons.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.winLength, 10) === winLength);
+        });
+    }
+    
+    /**
+     * Set the active variant button and show the controls that variant needs
+     * @param {string} variant - Rule variant
+     */
+    setVariant(variant) {
+        this.variantButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.variant === variant);
+        });
+        
+        // Drop/pop toggle is only needed in PopOut, power-up inventory in Power Up, turn buttons in Gravity Flip
+        this.moveTypeSelector.style.display = variant === 'popout' ? 'flex' : 'none';
+        this.powerUpPanel.style.display = variant === 'powerup' ? 'flex' : 'none';
+        this.rotateControls.style.display = variant === 'gravityflip' ? 'flex' : 'none';
+    }
+    
+    /**
+     * Set the active player count button
+     * @param {number} players - Number of players
+     */
+    setActivePlayerCount(players) {
+        this.playerCountButtons.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.players, 10) === players);
+        });
+    }
+    
+    /**
+     * Show a score and a CPU seat button for each player in the game, labelling CPU seats
+     * @param {number[]} players - Players in the game
+     * @param {number[]} cpuPlayers - Players the CPU is playing for
+     */
+    setSeats(players, cpuPlayers) {
+        this.scoreEntries.forEach(entry => {
+            const player = parseInt(entry.dataset.player, 10);
+            entry.style.display = players.includes(player) ? 'flex' : 'none';
+            
+            const label = entry.querySelector('.score-label');
+            if (label) {
+                label.textContent = cpuPlayers.includes(player) ? 'CPU' : `Player ${player}`;
+            }
+        });
+        
+        this.cpuSeatButtons.forEach(btn => {
+            const player = parseInt(btn.dataset.player, 10);
+            btn.style.display = players.includes(player) ? '' : 'none';
+            btn.classList.toggle('active', cpuPlayers.includes(player));
+        });
+    }
+    
+    /**
+     * Set the active time control button
+     * @param {string} timeControl - Time control key (see TIME_CONTROLS)
+     */
+    setActiveTimeControl(timeControl) {
+        this.timeControlButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.timeControl === timeControl);
+        });
+    }
+    
+    /**
+     * Show which opening rules are in force
+     * @param {Object} rules - Game rules {swap, openings}
+     */
+    setOpeningRules(rules) {
+        this.openingButtons.forEach(btn => {
+            btn.classList.toggle('active', Boolean(rules[btn.dataset.opening]));
+        });
+    }
+    
+    /**
+     * Show the opening the game starts from and the swap rule, before play begins
+     * @param {string|null} text - Opening details, or null to hide them
+     * @param {boolean} canSwap - Whether to offer the swap button (a human has the choice now)
+     */
+    setOpening(text, canSwap) {
+        this.openingInfo.textContent = text || '';
+        this.openingInfo.style.display = text ? 'block' : 'none';
+        this.swapButton.style.display = canSwap ? 'block' : 'none';
+    }
+    
+    /**
+     * Set the active match length button
+     * @param {number|null} bestOf - Games in the series, or null for an open-ended run
+     */
+    setActiveMatchLength(bestOf) {
+        this.matchLengthButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.bestOf === String(bestOf || 'off'));
+        });
+    }
+    
+    /**
+     * Show the match score, which game of the series this is, and what Play Again does next
+     * @param {Object} info - Match info (see Match.getInfo)
+     */
+    setMatch(info) {
+        for (const [player, wins] of Object.entries(info.scores)) {
+            const value = this.container.querySelector(`.player${player}-score .score-value`);
+            if (value) {
+                value.textContent = wins;
+            }
+        }
+        
+        const kinds = Object.entries(info.winKinds).map(([kind, games]) => `${games} ${kind}`);
+        this.scoreDisplay.title = `Games won by line: ${kinds.join(' · ')}`;
+        
+        if (info.bestOf) {
+            this.matchStatus.textContent = `Game ${Math.max(1, info.game)} · Best of ${info.bestOf}`;
+            this.matchStatus.style.display = '';
+        } else {
+            this.matchStatus.style.display = 'none';
+        }
+        
+        if (info.over) {
+            this.restartButton.textContent = '🔄 New Match';
+        } else {
+            this.restartButton.textContent = info.bestOf ? '▶ Next Game' : '🔄 Play Again';
+        }
+    }
+    
+    /**
+     * Show each player's clock, the running one highlighted
+     * @param {Object|null} clocks - Map of player to ms left, or null to hide the clocks
+     * @param {number} currentPlayer - Player to move
+     */
+    setClocks(clocks, currentPlayer) {
+        this.clockDisplay.style.display = clocks ? 'flex' : 'none';
+        if (!clocks) return;
+        
+        this.clockEntries.forEach(entry => {
+            const player = parseInt(entry.dataset.player, 10);
+            const time = clocks[player];
+            entry.style.display = time === undefined ? 'none' : 'flex';
+            if (time === undefined) return;
+            
+            const text = formatClock(time);
+            const label = entry.querySelector('.clock-time');
+            if (label.textContent !== text) {
+                label.textContent = text;
+            }
+            entry.classList.toggle('active', player === currentPlayer);
+            entry.classList.toggle('low', time < LOW_TIME);
+        });
+    }
+    
+    /**
+     * Set the active board shape button (flat or cylinder)
+     * @param {boolean} wrap - Whether the Cylinder rule is on
+     */
+    setWrap(wrap) {
+        this.wrapButtons.forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.wrap === 'on') === wrap);
+        });
+    }
+    
+    /**
+     * Set the active draw rule button (full board or early)
+     * @param {boolean} earlyDraw - Whether games are drawn as soon as nobody can connect
+     */
+    setEarlyDraw(earlyDraw) {
+        this.earlyDrawButtons.forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.earlyDraw === 'on') === earlyDraw);
+        });
+    }
+    
+    /**
+     * Set the active move type button (drop, pop or a power-up)
+     * @param {string} type - Move type
+     */
+    setActiveMoveType(type) {
+        this.moveTypeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.moveType === type);
+        });
+        this.powerUpButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.moveType === type && !btn.disabled);
+        });
+    }
+    
+    /**
+     * Update each player's power-up inventory (Power Up)
+     * @param {Object} powerUps - Remaining power-ups per player
+     * @param {number} currentPlayer - Player whose buttons are enabled
+     */
+    setPowerUps(powerUps, currentPlayer) {
+        this.powerUpRows.forEach(row => {
+            row.style.display = powerUps && powerUps[row.dataset.player] ? 'flex' : 'none';
+        });
+        
+        this.powerUpButtons.forEach(btn => {
+            const player = parseInt(btn.dataset.player, 10);
+            const inventory = powerUps && powerUps[player];
+            const available = Boolean(inventory && inventory[btn.dataset.moveType] > 0);
+            
+            btn.classList.toggle('used', !available);
+            btn.disabled = !available || player !== currentPlayer;
+            if (btn.disabled) {
+                btn.classList.remove('active');
+            }
+        });
+    }
+    
+    /**
+     * Enable the board turn buttons while the player to move still has a turn left (Gravity Flip)
+     * @param {Object} rotations - Remaining board turns per player
+     * @param {number} currentPlayer - Player to move
+     * @param {boolean} cpuTurn - Whether the CPU is the player to move
+     */
+    setRotations(rotations, currentPlayer, cpuTurn) {
+        const available = Boolean(rotations && rotations[currentPlayer] > 0);
+        this.rotateButtons.forEach(btn => {
+            btn.disabled = !available || cpuTurn;
+        });
+    }
+    
     /**
      * Update the turn indicator
-     * @param {number} player - Current player (1 or 2)
+     * @param {number} player - Current player (1-4)
      * @param {string} name - Player name
      */
     setTurn(player, name) {
@@ -194,31 +920,271 @@ export class HUD {
      * Show win message
      * @param {number} player - Winning player
      * @param {string} name - Winner name
+     * @param {string[]} kinds - Kinds of the winning lines (see WIN_KIND)
      */
-    showWin(player, name) {
+    showWin(player, name, kinds = []) {
+        const how = kinds.length > 0 ? ` (${kinds.join(' + ')})` : '';
         this.turnIndicator.style.display = 'none';
-        this.statusMessage.textContent = `🎉 ${name} Wins! 🎉`;
+        this.statusMessage.textContent = `🎉 ${name} Wins${how}! 🎉`;
         this.statusMessage.className = `status-message win player${player}-win`;
         this.restartButton.style.display = 'block';
+        this.replayButton.style.display = 'block';
+    }
+    
+    /**
+     * Show that a player ran out of time
+     * @param {string} name - Name of the player who ran out of time
+     * @param {number|null} winner - Player who wins on time (two-player games), or null
+     * @param {string|null} winnerName - Winner name
+     */
+    showTimeout(name, winner, winnerName) {
+        this.turnIndicator.style.display = 'none';
+        this.statusMessage.textContent = winner
+            ? `⏰ ${name} ran out of time! ${winnerName} Wins!`
+            : `⏰ ${name} ran out of time! Game over, nobody wins.`;
+        this.statusMessage.className = `status-message timeout${winner ? ` player${winner}-win` : ''}`;
+        this.restartButton.style.display = 'block';
+        this.replayButton.style.display = 'block';
+    }
+    
+    /**
+     * Show the match winner, after the game that decided the series
+     * @param {number} player - Match winner
+     * @param {string} name - Match winner name
+     * @param {Object} info - Match info (see Match.getInfo)
+     */
+    showMatchOver(player, name, info) {
+        const score = Object.values(info.scores).sort((a, b) => b - a).join('–');
+        this.turnIndicator.style.display = 'none';
+        this.statusMessage.textContent = `🏆 ${name} Wins the Match ${score}! 🏆`;
+        this.statusMessage.className = `status-message win match-over player${player}-win`;
+        this.restartButton.style.display = 'block';
+        this.replayButton.style.display = 'block';
+        this.setMatch(info);
+    }
+    
+    /**
+     * Show a move string in the moves box
+     * @param {string} moveString - Column digits
+     */
+    setMoveString(moveString) {
+        this.moveStringInput.value = moveString;
+        this.setMoveStringError(null);
+    }
+    
+    /**
+     * Show why a move string couldn't be loaded or written
+     * @param {string|null} message - Error message, or null to clear it
+     */
+    setMoveStringError(message) {
+        this.moveStringError.textContent = message || '';
+    }
+    
+    /**
+     * Show why a game record couldn't be saved or loaded
+     * @param {string|null} message - Error message, or null to clear it
+     */
+    setRecordError(message) {
+        this.recordError.textContent = message || '';
+    }
+    
+    /**
+     * Show or hide the position editor controls
+     * @param {boolean} editing - Whether a position is being edited
+     * @param {number[]} players - Players in the game (one "to move" button each)
+     */
+    setEditing(editing, players = []) {
+        this.editorControls.style.display = editing ? 'flex' : 'none';
+        this.editButton.disabled = editing;
+        this.setEditorErrors([]);
         
-        // Update score
-        if (player === 1) {
-            this.scores.player1++;
-            this.player1Score.textContent = this.scores.player1;
-        } else {
-            this.scores.player2++;
-            this.player2Score.textContent = this.scores.player2;
-        }
+        this.nextPlayerButtons.forEach(btn => {
+            btn.style.display = players.includes(parseInt(btn.dataset.player, 10)) ? '' : 'none';
+        });
+    }
+    
+    /**
+     * Set the active "to move" button in the position editor
+     * @param {number} player - Player to move once editing is done
+     */
+    setEditorNextPlayer(player) {
+        this.nextPlayerButtons.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.player, 10) === player);
+        });
+    }
+    
+    /**
+     * Show why the edited position can't be played
+     * @param {string[]} errors - Error messages (empty to clear them)
+     */
+    setEditorErrors(errors) {
+        this.editorError.textContent = errors.join(' · ');
+    }
+    
+    /**
+     * Show that a position is being edited in the turn indicator
+     */
+    showEditing() {
+        this.turnToken.className = 'player-token editing';
+        this.turnText.textContent = '✏️ Editing position';
+        this.turnIndicator.className = 'turn-indicator editing';
+        this.turnIndicator.style.display = 'flex';
+        this.statusMessage.textContent = '';
+        this.statusMessage.className = 'status-message';
+        this.restartButton.style.display = 'none';
+        this.replayButton.style.display = 'none';
+    }
+    
+    /**
+     * Enable or disable the undo and redo buttons
+     * @param {boolean} canUndo - Whether there is a move to take back
+     * @param {boolean} canRedo - Whether there is an undone move to replay
+     */
+    setUndoRedo(canUndo, canRedo) {
+        this.undoButton.disabled = !canUndo;
+        this.redoButton.disabled = !canRedo;
+    }
+    
+    /**
+     * Show the replay controls at a point in the replay, in place of the game result
+     * @param {Object} replay - Replay position {index, length} (see Game.getStateInfo)
+     * @param {boolean} playing - Whether the replay is playing by itself
+     */
+    showReplay(replay, playing) {
+        this.turnToken.className = 'player-token replay';
+        this.turnText.textContent = '🎬 Replay';
+        this.turnIndicator.className = 'turn-indicator replay';
+        this.turnIndicator.style.display = 'flex';
+        this.statusMessage.textContent = '';
+        this.statusMessage.className = 'status-message';
+        this.restartButton.style.display = 'none';
+        this.replayButton.style.display = 'none';
+        this.replayControls.style.display = 'flex';
+        
+        this.replayScrubber.max = replay.length;
+        this.replayScrubber.value = replay.index;
+        this.replayPosition.textContent = `Move ${replay.index} / ${replay.length}`;
+        this.replayPlayButton.textContent = playing ? '⏸' : '▶️';
+        this.replayStepButtons.forEach(btn => {
+            const backward = btn.dataset.step === 'start' || btn.dataset.step === 'back';
+            btn.disabled = backward ? replay.index === 0 : replay.index === replay.length;
+        });
+    }
+    
+    /**
+     * Hide the replay controls
+     */
+    hideReplay() {
+        this.replayControls.style.display = 'none';
+    }
+    
+    /**
+     * Set the active replay speed button
+     * @param {number} speed - Playback speed (1 = normal)
+     */
+    setReplaySpeed(speed) {
+        this.replaySpeedButtons.forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+    }
+    
+    /**
+     * Enable or disable the resign and draw offer buttons
+     * @param {boolean} canResign - Whether a human player may resign now
+     * @param {boolean} canOfferDraw - Whether a human player may offer a draw now
+     */
+    setGameActions(canResign, canOfferDraw) {
+        this.resignButton.disabled = !canResign;
+        this.drawOfferButton.disabled = !canOfferDraw;
+    }
+    
+    /**
+     * Ask a yes/no question in a dialog over the game
+     * @param {string} message - Question to ask
+     * @param {Function} onAnswer - Called with true (yes) or false (no)
+     * @param {Object} labels - Button labels {yes, no}
+     */
+    showConfirm(message, onAnswer, labels = {}) {
+        this.confirmMessage.textContent = message;
+        this.confirmYesButton.textContent = labels.yes || 'Yes';
+        this.confirmNoButton.textContent = labels.no || 'No';
+        this.onConfirmAnswer = onAnswer;
+        this.confirmDialog.style.display = 'flex';
+    }
+    
+    /**
+     * Close the confirmation dialog with an answer
+     * @param {boolean} answer - Whether yes was picked
+     */
+    answerConfirm(answer) {
+        const onAnswer = this.onConfirmAnswer;
+        this.hideConfirm();
+        if (onAnswer) onAnswer(answer);
+    }
+    
+    /**
+     * Close the confirmation dialog without an answer
+     */
+    hideConfirm() {
+        this.onConfirmAnswer = null;
+        this.confirmDialog.style.display = 'none';
+    }
+    
+    /**
+     * Show that a player resigned
+     * @param {number} winner - Winning player
+     * @param {string} winnerName - Winner name
+     * @param {string} loserName - Name of the player who resigned
+     */
+    showResignation(winner, winnerName, loserName) {
+        this.turnIndicator.style.display = 'none';
+        this.statusMessage.textContent = `🏳️ ${loserName} resigns! ${winnerName} Wins!`;
+        this.statusMessage.className = `status-message win player${winner}-win`;
+        this.restartButton.style.display = 'block';
+        this.replayButton.style.display = 'block';
+    }
+    
+    /**
+     * Show a message that fades out by itself (e.g. why a move was refused)
+     * @param {string} text - Message
+     * @param {number} duration - How long to show it, in ms
+     */
+    showToast(text, duration = 2000) {
+        this.toast.textContent = text;
+        this.toast.classList.add('visible');
+        
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
+            this.toast.classList.remove('visible');
+        }, duration);
+    }
+    
+    /**
+     * Show a short message in the status area until the next turn (e.g. a declined draw offer)
+     * @param {string} text - Message
+     */
+    showNotice(text) {
+        this.statusMessage.textContent = text;
+        this.statusMessage.className = 'status-message notice';
     }
     
     /**
      * Show draw message
+     * @param {boolean} agreed - Whether the players agreed the draw
+     * @param {string|null} detail - Why the game ended, shown under the message
      */
-    showDraw() {
+    showDraw(agreed = false, detail = null) {
         this.turnIndicator.style.display = 'none';
-        this.statusMessage.textContent = "🤝 It's a Draw! 🤝";
+        this.statusMessage.textContent = agreed ? '🤝 Draw Agreed! 🤝' : "🤝 It's a Draw! 🤝";
+        if (detail) {
+            const note = document.createElement('span');
+            note.className = 'status-detail';
+            note.textContent = detail;
+            this.statusMessage.appendChild(note);
+        }
         this.statusMessage.className = 'status-message draw';
         this.restartButton.style.display = 'block';
+        this.replayButton.style.display = 'block';
     }
     
     /**
@@ -241,22 +1207,15 @@ export class HUD {
      * Reset HUD for new game
      */
     reset() {
+        this.hideConfirm();
         this.restartButton.style.display = 'none';
+        this.replayButton.style.display = 'none';
+        this.replayControls.style.display = 'none';
         this.statusMessage.textContent = '';
         this.statusMessage.className = 'status-message';
         this.turnIndicator.style.display = 'flex';
     }
     
-    /**
-     * Reset scores
-     */
-    resetScores() {
-        this.scores.player1 = 0;
-        this.scores.player2 = 0;
-        this.player1Score.textContent = '0';
-        this.player2Score.textContent = '0';
-    }
-    
     /**
      * Remove HUD from DOM
      */
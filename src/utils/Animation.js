@@ -141,6 +141,36 @@ export function animateScale(object, targetScale, duration, easing = Easing.ease
     });
 }
 
+/**
+ * Shake a 3D object from side to side, settling back where it started
+ * @param {THREE.Object3D} object - Object to shake
+ * @param {number} distance - Largest sideways offset
+ * @param {number} duration - Duration in milliseconds
+ * @param {Function} onComplete - Callback when done
+ * @returns {Object} Controller with stop() method
+ */
+export function shakeAnimation(object, distance = 0.15, duration = 400, onComplete) {
+    const startX = object.position.x;
+    const shakes = 4;
+    
+    const animation = animate({
+        from: 0,
+        to: 1,
+        duration,
+        onUpdate: (value) => {
+            object.position.x = startX + Math.sin(value * shakes * Math.PI * 2) * distance * (1 - value);
+        },
+        onComplete
+    });
+    
+    return {
+        stop: () => {
+            animation.stop();
+            object.position.x = startX;
+        }
+    };
+}
+
 /**
  * Create a pulsing animation
  * @param {THREE.Object3D} object - Object to pulse
@@ -259,6 +289,7 @@ export default {
     animate,
     animatePosition,
     animateScale,
+    shakeAnimation,
     pulseAnimation,
     glowAnimation
 };
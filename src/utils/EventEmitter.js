@@ -0,0 +1,91 @@
+/**
+ * Event emitter
+ * Lets any number of listeners subscribe to named events
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Event name -> listener functions, in subscription order
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        
+        return () => this.off(event, listener);
+    }
+    
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on() or once()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+        
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe before the event happens
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener; // Lets off() find it by the original listener
+        
+        return this.on(event, wrapper);
+    }
+    
+    /**
+     * Call every listener of an event. A listener that throws is reported (see reportListenerError)
+     * and doesn't stop the others from being called.
+     * @param {string} event - Event name
+     * @param {*} payload - Passed to each listener
+     */
+    emit(event, payload) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+        
+        // Copy, so listeners can unsubscribe while being called
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this.reportListenerError(event, error);
+            }
+        }
+    }
+    
+    /**
+     * Log a listener that threw (subclasses can send this somewhere else)
+     * @param {string} event - Event name
+     * @param {Error} error - The error thrown
+     */
+    reportListenerError(event, error) {
+        console.error(`Error in ${event} listener:`, error);
+    }
+}
+
+export default EventEmitter;
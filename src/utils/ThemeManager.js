@@ -29,11 +29,23 @@ export const THEME_CONFIGS = {
                 color: 0xFFD60A,
                 emissive: 0xFFD60A,
                 emissiveIntensity: 0.1
+            },
+            player3: {
+                color: 0x06D6A0,
+                emissive: 0x06D6A0,
+                emissiveIntensity: 0.1
+            },
+            player4: {
+                color: 0x9D4EDD,
+                emissive: 0x9D4EDD,
+                emissiveIntensity: 0.1
             }
         },
         ui: {
             primaryColor: '#E63946',
             secondaryColor: '#FFD60A',
+            tertiaryColor: '#06D6A0',
+            quaternaryColor: '#9D4EDD',
             backgroundColor: 'rgba(0, 0, 0, 0.4)',
             textColor: '#ffffff',
             accentColor: '#4fc3f7'
@@ -58,11 +70,23 @@ export const THEME_CONFIGS = {
                 color: 0xbb00ff,
                 emissive: 0xbb00ff,
                 emissiveIntensity: 0.3
+            },
+            player3: {
+                color: 0xff3366,
+                emissive: 0xff3366,
+                emissiveIntensity: 0.3
+            },
+            player4: {
+                color: 0xffaa00,
+                emissive: 0xffaa00,
+                emissiveIntensity: 0.3
             }
         },
         ui: {
             primaryColor: '#00ff88',
             secondaryColor: '#bb00ff',
+            tertiaryColor: '#ff3366',
+            quaternaryColor: '#ffaa00',
             backgroundColor: 'rgba(26, 26, 26, 0.8)',
             textColor: '#ffffff',
             accentColor: '#00ffff'
@@ -234,6 +258,8 @@ export class ThemeManager {
         
         root.style.setProperty('--theme-primary', config.ui.primaryColor);
         root.style.setProperty('--theme-secondary', config.ui.secondaryColor);
+        root.style.setProperty('--theme-tertiary', config.ui.tertiaryColor);
+        root.style.setProperty('--theme-quaternary', config.ui.quaternaryColor);
         root.style.setProperty('--theme-background', config.ui.backgroundColor);
         root.style.setProperty('--theme-text', config.ui.textColor);
         root.style.setProperty('--theme-accent', config.ui.accentColor);
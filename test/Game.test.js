@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, GAME_MODE, GAME_STATE, RESULT_REASON, createRules, setDefaultLogger } from '../src/engine.js';
+
+setDefaultLogger(null);
+
+test('editing after a flag fall starts the clocks afresh', () => {
+    const game = new Game(createRules());
+    game.setTimeControl({ base: 60000, increment: 0 });
+    game.startGame(GAME_MODE.PVP);
+    game.makeMove(3);
+    game.timeOut(2);
+    
+    game.startEditing();
+    const result = game.finishEditing(2);
+    
+    assert.equal(result.valid, true);
+    assert.equal(game.gameState, GAME_STATE.PLAYING);
+    assert.equal(game.timedOutPlayer, null);
+    assert.deepEqual(game.clocks, { 1: 60000, 2: 60000 });
+});
+
+test("the CPU's opening move can't be taken back on its own", () => {
+    const game = new Game(createRules());
+    game.setCPUPlayers([1]);
+    game.startGame(GAME_MODE.CPU);
+    game.makeMove(3);
+    
+    assert.equal(game.canUndo(), false);
+    assert.deepEqual(game.undo(), []);
+    assert.equal(game.moveHistory.length, 1);
+    
+    game.makeMove(2);
+    assert.equal(game.canUndo(), true);
+    assert.equal(game.undo().length, 1);
+    assert.equal(game.moveHistory.length, 1);
+});
+
+test('stepping a replay back from the winning move clears the result', () => {
+    const game = new Game(createRules());
+    game.startGame(GAME_MODE.PVP);
+    for (const col of [0, 1, 0, 1, 0, 1, 0]) {
+        game.makeMove(col);
+    }
+    assert.equal(game.resultReason, RESULT_REASON.CONNECT);
+    
+    game.startReplay();
+    game.seekReplay(game.moveHistory.length);
+    const replay = game.replay.game;
+    assert.equal(replay.resultReason, RESULT_REASON.CONNECT);
+    
+    game.stepReplay(false);
+    assert.equal(replay.gameState, GAME_STATE.PLAYING);
+    assert.equal(replay.winner, null);
+    assert.equal(replay.winningLines, null);
+    assert.equal(replay.resultReason, null);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, GAME_MODE, VARIANT, MIN_PLAYERS, MAX_PLAYERS, createRules, setDefaultLogger } from '../src/engine.js';
+
+setDefaultLogger(null);
+
+test('every variant starts from a valid position for every player count', () => {
+    for (const variant of Object.values(VARIANT)) {
+        for (let players = MIN_PLAYERS; players <= MAX_PLAYERS; players++) {
+            const rules = createRules({ variant, players });
+            const game = new Game(rules);
+            game.startGame(GAME_MODE.PVP, rules);
+            
+            const { valid, errors } = game.validatePosition();
+            assert.ok(valid, `${variant} with ${rules.players} players: ${errors.join('; ')}`);
+        }
+    }
+});
+
+test('Five-in-a-Row is played by two players', () => {
+    const rules = createRules({ variant: VARIANT.FIVE_IN_A_ROW, players: 4 });
+    
+    assert.equal(rules.players, 2);
+    assert.equal(rules.layout.filter(token => token.player === 1).length, rules.rows);
+    assert.equal(rules.layout.filter(token => token.player === 2).length, rules.rows);
+});